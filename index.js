@@ -1,7 +1,16 @@
 import express from "express";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { validateLists, formatIssue } from "./lib/validate.cjs";
+import { formatEvent } from "./lib/history.cjs";
+import { isValidDate, listsAsOf, listSnapshotDates, snapshotDateFor, snapshotPath } from "./lib/snapshots.cjs";
+import { CHANGES_FILE, recentChanges, describeChange, describeCascades } from "./lib/changes.cjs";
+import { changeDateParts } from "./lib/changelog.cjs";
+import { LIST_NAMES, LIST_FILES, LIST_TITLES, globalPosition, levelNames } from "./lib/engine.cjs";
+import { parseRange, exportRows, formatExport } from "./lib/export.cjs";
+import { LANGUAGES, SITE_LANGUAGE, formatDate, normalizeLanguage, translate } from "./lib/i18n.cjs";
 
 // SETUP
 const app = express();
@@ -9,6 +18,9 @@ const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Behind Vercel's proxy: use X-Forwarded-* for absolute feed links
+app.set("trust proxy", true);
+
 // MIDDLEWARES
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -16,17 +28,211 @@ app.use(express.urlencoded({ extended: true }));
 // STATIC FILES (Vercel-friendly)
 app.use(express.static(path.join(__dirname, "public")));
 
+// Thrown when the JSON files don't pass lib/validate.cjs
+class LevelDataError extends Error {
+  constructor(issues) {
+    super(`Invalid level data (${issues.length} problem(s))`);
+    this.name = "LevelDataError";
+    this.issues = issues;
+  }
+}
+
+// FILE CACHE
+// Files are only re-read when their mtime or size changes, so edits made
+// by the CLI show up on the next request without restarting the server.
+const fileCache = new Map();
+
+function readFileCached(filePath) {
+  const stat = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+  const content = fs.readFileSync(filePath, "utf-8");
+  const entry = {
+    content,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    hash: crypto.createHash("sha1").update(content).digest("hex"),
+  };
+  fileCache.set(filePath, entry);
+  return entry;
+}
+
+// Parsed levels, keyed by the content hash of the list files
+// (which lists and files: lists.config.json, see lib/config.cjs)
+let levelsCache = null;
+
 // CREATING DATA FUNCTION
 function loadLevels() {
-  const mainPath = path.join(__dirname, "levels_main.json");
-  const extPath = path.join(__dirname, "levels_extended.json");
-  const legacyPath = path.join(__dirname, "levels_legacy.json");
-  
-  return {
-    main: JSON.parse(fs.readFileSync(mainPath, "utf-8")),
-    extended: JSON.parse(fs.readFileSync(extPath, "utf-8")),
-    legacy: JSON.parse(fs.readFileSync(legacyPath, "utf-8")),
+  const files = {};
+  LIST_NAMES.forEach(list => {
+    files[list] = readFileCached(path.join(__dirname, LIST_FILES[list]));
+  });
+  const version = crypto.createHash("sha1")
+    .update(LIST_NAMES.map(list => files[list].hash).join(""))
+    .digest("hex")
+    .slice(0, 16);
+
+  if (levelsCache && levelsCache.version === version) return levelsCache.levels;
+
+  const levels = {};
+  LIST_NAMES.forEach(list => {
+    levels[list] = JSON.parse(files[list].content);
+  });
+
+  const issues = validateLists(levels);
+  if (issues.length > 0) throw new LevelDataError(issues);
+
+  levelsCache = {
+    version,
+    lastModified: new Date(Math.max(...LIST_NAMES.map(list => files[list].mtimeMs))),
+    levels,
+    derived: new Map(),
   };
+  return levels;
+}
+
+// Memoizes anything computed from the current levels (cards, API rows...)
+// until the data files change
+function cachedForLevels(key, compute) {
+  loadLevels();
+  if (!levelsCache.derived.has(key)) levelsCache.derived.set(key, compute(levelsCache.levels));
+  return levelsCache.derived.get(key);
+}
+
+// ETag / Last-Modified for responses built from the level data (and,
+// optionally, the other files they are built from: template, snapshot,
+// changes.json). Returns true when the client copy is fresh.
+function setValidators(req, res, ...files) {
+  loadLevels();
+  // index.js is part of the key so a deploy with new markup isn't answered with a 304
+  let etag = `${levelsCache.version}-${readFileCached(__filename).hash.slice(0, 8)}`;
+  let lastModified = levelsCache.lastModified;
+
+  // The catalogues are part of every page and of the history text
+  etag += `-${crypto.createHash("sha1").update(LANGUAGES.map(lang => readFileCached(localePath(lang)).hash).join("")).digest("hex").slice(0, 8)}`;
+
+  files.filter(Boolean).forEach(file => {
+    const entry = readFileCached(file);
+    etag += `-${entry.hash.slice(0, 8)}`;
+    if (entry.mtimeMs > lastModified.getTime()) lastModified = new Date(entry.mtimeMs);
+  });
+
+  res.set("ETag", `"${etag}"`);
+  res.set("Last-Modified", lastModified.toUTCString());
+  return req.fresh;
+}
+
+// LANGUAGE
+// English by default, ?lang=pt for Portuguese; the text comes from the
+// catalogues in locales/ (see lib/i18n.cjs)
+function localePath(lang) {
+    return path.join(__dirname, "locales", `${lang}.json`);
+}
+
+function requestLanguage(req) {
+    return normalizeLanguage(req.query.lang) || SITE_LANGUAGE;
+}
+
+// Internal links keep the language ("/level/x" -> "/level/x?lang=pt")
+function withLang(url, lang) {
+    if (lang === SITE_LANGUAGE) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}lang=${lang}`;
+}
+
+// {{t:key}} (catalogue text, trusted HTML), {{htmlLang}} and the nav links
+function fillTemplate(htmlPage, lang) {
+    return htmlPage
+        .replace(/\{\{t:([\w.]+)\}\}/g, (match, key) => translate(lang, key))
+        .replaceAll("{{htmlLang}}", translate(lang, "site.html_lang"))
+        .replaceAll("{{homeUrl}}", withLang("/home", lang))
+        .replaceAll("{{changesUrl}}", withLang("/changes", lang));
+}
+
+// Links to the current page in each language; filled per request, so the
+// cached pages can keep the placeholder
+function createLanguageSwitchHtml(req, lang) {
+    const links = LANGUAGES.map(code => {
+        const url = new URL(req.originalUrl, "http://localhost");
+        if (code === SITE_LANGUAGE) url.searchParams.delete("lang");
+        else url.searchParams.set("lang", code);
+        const current = code === lang ? ' aria-current="true"' : "";
+        return `<a href="${escapeUrl(url.pathname + url.search)}" hreflang="${code}"${current}>${escapeHtml(translate(code, `language.${code}`))}</a>`;
+    });
+    return `<span class="lang-switch" aria-label="${escapeHtml(translate(lang, "site.language"))}">${links.join(" | ")}</span>`;
+}
+
+function sendPage(req, res, htmlPage, lang) {
+    res.send(htmlPage.replaceAll("{{langSwitch}}", createLanguageSwitchHtml(req, lang)));
+}
+
+// URL slug from the level name ("Sonic Wave" -> "sonic-wave")
+function slugify(text) {
+    return String(text || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+// Slugs depend only on name (and creator when two levels share a name, and
+// the id when both match), never on position, so links keep working when a
+// level moves
+function buildSlugMap(levels) {
+    const all = LIST_NAMES.flatMap(list => levels[list]);
+    const counts = {};
+    all.forEach(level => {
+        const base = slugify(level.lvl_name);
+        counts[base] = (counts[base] || 0) + 1;
+    });
+
+    const slugs = new Map();
+    all.forEach(level => {
+        const base = slugify(level.lvl_name) || "level";
+        slugs.set(level, counts[base] > 1 ? `${base}-${slugify(level.lvl_creator)}` : base);
+    });
+
+    const taken = {};
+    slugs.forEach(slug => { taken[slug] = (taken[slug] || 0) + 1; });
+    slugs.forEach((slug, level) => {
+        if (taken[slug] > 1 && level.id) slugs.set(level, `${slug}-${level.id}`);
+    });
+    return slugs;
+}
+
+// Flattens one level into the public API shape; names = levelNames(levels),
+// so history text shows the current name of levels renamed since
+function toApiLevel(level, list, index, slug, names, lang = SITE_LANGUAGE) {
+    const history = Array.isArray(level.pos_history)
+        ? level.pos_history.map(event => ({ ...event, text: formatEvent(event, names, lang) }))
+        : [];
+
+    return {
+        id: level.id || null,
+        position: globalPosition(list, index),
+        slug,
+        list,
+        rank_in_list: index + 1,
+        name: level.lvl_name || "",
+        creator: level.lvl_creator || "",
+        video_url: level.video_url || null,
+        rank: level.diff_rank || null,
+        tier: level.diff_scale ? String(level.diff_scale) : null,
+        external_list: rankMeta(level.diff_rank).externalList,
+        external_position: parseInt(level.pos_aredl, 10) || null,
+        history,
+    };
+}
+
+// All levels of one list (or every list) with global positions
+function getApiLevels(list, lang = SITE_LANGUAGE) {
+    const all = cachedForLevels(`api-levels:${lang}`, levels => {
+        const slugs = buildSlugMap(levels);
+        const names = levelNames(levels);
+        return LIST_NAMES.flatMap(name => levels[name].map((level, index) => toApiLevel(level, name, index, slugs.get(level), names, lang)));
+    });
+    return list ? all.filter(level => level.list === list) : all;
 }
 
 // FUNCTIONS
@@ -52,29 +258,33 @@ function extractYouTubeVideoId(url) {
     return null;
 }
 
-// Escape HTML & historical format
-function formatPositionHistory(posHistory) {
+// Escape special characters
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;',
+        '/': '&#x2F;'
+    };
+    return String(text).replace(/[&<>"'\/]/g, s => map[s]);
+}
+
+// Escape for href/src attributes (keeps the slashes readable)
+function escapeUrl(url) {
+    return String(url).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#039;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Escape HTML & historical format (API history entries already carry the text)
+function formatPositionHistory(posHistory, lang = SITE_LANGUAGE) {
     if (!posHistory || !Array.isArray(posHistory) || posHistory.length === 0) {
-        return '<span class="text-muted">No history available</span>';
-    }
-    
-    // Escape special characters
-    function escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;',
-            '/': '&#x2F;'
-        };
-        return String(text).replace(/[&<>"'\/]/g, s => map[s]);
+        return `<span class="text-muted">${translate(lang, "site.no_history")}</span>`;
     }
     
     // Entries map & format
     const entries = posHistory.map((entry, idx) => {
-        const log = entry.log1 || entry || 'Unknown entry';
-        const escapedLog = escapeHtml(log);
+        const escapedLog = escapeHtml(entry.text || formatEvent(entry, null, lang));
         return `<div class="history-entry">
             <span class="history-number">${idx + 1}.</span> 
             <span class="history-text">${escapedLog}</span>
@@ -84,86 +294,47 @@ function formatPositionHistory(posHistory) {
     return entries.join('');
 }
 
-// Own expansion system
+// CARD RENDERING
 
-function CreateCardLevels_Main(level_main, index) {
-    const position = index + 1;
-    
-    const videoId = extractYouTubeVideoId(level_main.video_url);
-    const imageSrc = videoId 
-        ? `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg` 
-        : '/img/placeholder.png';
-    
-    const difficulty = `${level_main.diff_scale || ''}`;
-    
-    // Historical format
-    let historyHtml = '';
-    if (level_main.pos_history && Array.isArray(level_main.pos_history) && level_main.pos_history.length > 0) {
-        historyHtml = level_main.pos_history.map((entry, idx) => {
-            const log = (entry.log1 || entry || 'Unknown entry')
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
-            
-            return `<div class="history-entry">
-                <span class="history-number">${idx + 1}.</span>
-                <span class="history-text">${log}</span>
-            </div>`;
-        }).join('');
-    } else {
-        historyHtml = '<div class="text-center text-muted py-3">No history available</div>';
-    }
+// Rank metadata: badge label/class and the external list that ranks it
+const RANK_META = {
+    "Extreme Demon": { label: "Extreme Demon", badgeClass: "badge-extreme", externalList: "AREDL" },
+    "Insane Demon": { label: "Insane Demon", badgeClass: "badge-insane", externalList: "IDL" },
+    "Hard Demon": { label: "Hard Demon", badgeClass: "badge-hard", externalList: "HDL" },
+    "Medium Demon": { label: "Medium Demon", badgeClass: "badge-medium", externalList: null },
+    "Easy Demon": { label: "Easy Demon", badgeClass: "badge-easy", externalList: null },
+};
 
-    let rankDisplay = level_main.diff_rank || '';
-    const safeName = (level_main.lvl_name || '').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
-    const safeCreator = (level_main.lvl_creator || '').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
-    const safeVideoUrl = level_main.video_url || '#';
+function rankMeta(rank) {
+    return RANK_META[rank] || { label: rank || "", badgeClass: "badge-unknown", externalList: null };
+}
 
-    // Unique ID
-    const accordionId = `history-${position}`;
+// Per-list card layout: "row" = image beside the data, "grid" = compact
+// card with the image on top; history = show the position history accordion;
+// lazy = only the first page is in /home, the rest is fetched while scrolling
+const LIST_LAYOUTS = {
+    main: { template: "row", history: true, lazy: false, thumbnail: "maxresdefault" },
+    extended: { template: "row", history: true, lazy: true, thumbnail: "hqdefault" },
+    legacy: { template: "grid", history: true, lazy: true, thumbnail: "mqdefault" },
+};
+// Lists added in lists.config.json look like the Extended one
+const DEFAULT_LAYOUT = LIST_LAYOUTS.extended;
 
-    const cardHtml = `
-        <div class="level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
-            <div class="card">
-                <div class="row g-0">
-                    <div class="col-md-4">
-                        <div class="image-container">
-                            <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
-                                <img 
-                                    src="${imageSrc}" 
-                                    alt="${safeName}"
-                                    onerror="this.src='/img/placeholder.png'; this.onerror=null;"
-                                    loading="lazy"
-                                >
-                            </a>
-                        </div>
-                    </div>
-                    <div class="col-md-8">
-                        <div class="card-body">
-                            <h5 class="card-title">
-                                ${position}. ${safeName}
-                            </h5>
-                            
-                            <p class="creator-text">
-                                by ${safeCreator}
-                            </p>
-                            
-                            <div class="badge-container">
-                                <span class="badge-demon">${rankDisplay}</span>
-                                <span class="badge-tier">Tier: ${difficulty}</span>
-                            </div>
-                            
-                            ${level_main.pos_aredl ? `<p class="aredl-text">${level_main.diff_rank === "Extreme Demon" ? "AREDL" : "IDL"} Position: #${level_main.pos_aredl}</p>` : ''}
-                        </div>
-                    </div>
-                </div>
-                
+function listLayout(list) {
+    return LIST_LAYOUTS[list] || DEFAULT_LAYOUT;
+}
+
+function createHistoryAccordion(history, accordionId, lang) {
+    const historyHtml = history.length > 0
+        ? formatPositionHistory(history, lang)
+        : `<div class="text-center text-muted py-3">${translate(lang, "site.no_history")}</div>`;
+    const showText = escapeHtml(translate(lang, "card.show_history"));
+
+    return `
                 <!-- Sistema de accordion customizado -->
                 <div class="history-accordion">
-                    <button class="history-toggle" onclick="toggleHistory('${accordionId}', this)" type="button">
-                        <span class="toggle-text">View Position History</span>
+                    <button class="history-toggle" onclick="toggleHistory('${accordionId}', this)" type="button" data-show-text="${showText}" data-hide-text="${escapeHtml(translate(lang, "card.hide_history"))}">
+                        <span class="toggle-text">${showText}</span>
                         <span class="toggle-arrow">▼</span>
                     </button>
                     
@@ -172,310 +343,365 @@ function CreateCardLevels_Main(level_main, index) {
                             ${historyHtml}
                         </div>
                     </div>
-                </div>
-            </div>
-        </div>
-    `;
-
-    return cardHtml;
+                </div>`;
 }
 
-function CreateCardLevels_Extended(level_extended, index) {
-        const position = index + 76;
-    
-    const videoId = extractYouTubeVideoId(level_extended.video_url);
-    
-    // Placeholder image if main image not found
+function createLevelCard(level, list, position, slug, history, lang) {
+    const layout = listLayout(list);
+    const rank = rankMeta(level.diff_rank);
+
+    const videoId = extractYouTubeVideoId(level.video_url);
     const imageSrc = videoId 
-        ? `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg` 
+        ? `https://img.youtube.com/vi/${videoId}/${layout.thumbnail}.jpg` 
         : '/img/placeholder.png';
-    
-    const difficulty = `${level_extended.diff_scale || ''}`;
-
-    let rankDisplay = "";
-    if (level_extended.pos_aredl === "" || level_extended.pos_aredl === 0 || level_extended.pos_aredl === undefined) {
-        rankDisplay = `${level_extended.diff_rank || ''}`;
-    } else {
-        rankDisplay = `${level_extended.diff_rank || ''}`;
-    }
 
-    const safeName = (level_extended.lvl_name || '').replace(/"/g, '&quot;');
-    const safeCreator = (level_extended.lvl_creator || '').replace(/"/g, '&quot;');
-    
-    // Safe video URL
-    const safeVideoUrl = level_extended.video_url || '#';
+    const safeName = escapeHtml(level.lvl_name || '');
+    const safeCreator = escapeHtml(level.lvl_creator || '');
+    const safeVideoUrl = level.video_url ? escapeUrl(level.video_url) : '#';
+    const difficulty = level.diff_scale ? escapeHtml(level.diff_scale) : '';
 
-    // DIFF RANK CASES:
-
-        if(level_extended.diff_rank === "Extreme Demon"){
-            let levelCardHtml = `
-        <div class="level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
-            <div class="card">
-                <div class="row g-0">
-                    <div class="col-md-4">
-                        <div class="image-container">
+    const badgesHtml = `
+                            <div class="badge-container">
+                                <span class="badge-demon ${rank.badgeClass}">${escapeHtml(rank.label)}</span>
+                                ${difficulty ? `<span class="badge-tier">${translate(lang, "card.tier", { tier: difficulty })}</span>` : ''}
+                            </div>`;
+    const externalHtml = level.pos_aredl
+        ? `<p class="aredl-text">${translate(lang, "card.external_position", { list: rank.externalList || translate(lang, "card.external_list"), position: level.pos_aredl })}</p>`
+        : '';
+    const levelUrl = withLang(`/level/${slug}`, lang);
+    const creatorText = translate(lang, "card.by", { creator: safeCreator });
+    const imageHtml = `
                             <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
                                 <img 
+                                    ${layout.template === "grid" ? 'class="legacy-card-img"' : ''}
                                     src="${imageSrc}" 
                                     alt="${safeName}"
                                     onerror="this.src='/img/placeholder.png'; this.onerror=null;"
                                     loading="lazy"
                                 >
-                            </a>
-                        </div>
-                    </div>
-                    <div class="col-md-8">
-                        <div class="card-body">
-                            <h5 class="card-title">
-                                ${position}. ${safeName}
-                            </h5>
-                            
-                            <p class="creator-text">
-                                by ${safeCreator}
-                            </p>
-                            
-                            <div class="badge-container">
-                                <span class="badge-demon">${rankDisplay}</span>
-                                <span class="badge-tier">Tier: ${difficulty}</span>
-                            </div>
-                            
-                            ${level_extended.pos_aredl ? `<p class="aredl-text">AREDL Position: #${level_extended.pos_aredl}</p>` : ''}
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+                            </a>`;
+    const dataAttributes = `data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}"`;
 
-    return levelCardHtml;
+    if (layout.template === "grid") {
+        return `
+<div class="col level-card" ${dataAttributes}>
+    <div class="card h-100 legacy-card">
+        <!-- Imagem ocupa toda a largura do card -->
+        ${imageHtml}
+ 
+        <!-- Dados do nível ficam abaixo da imagem -->
+        <div class="card-body legacy-card-body">
+            <h6 class="card-title legacy-card-title">
+                <a class="level-link" href="${levelUrl}">${position}. ${safeName}</a>
+            </h6>
+ 
+            <p class="creator-text legacy-creator">
+                ${creatorText}
+            </p>
+            ${badgesHtml}
+            ${externalHtml}
+        </div>
+        ${layout.history ? createHistoryAccordion(history, `history-${position}`, lang) : ''}
+    </div>
+</div>
+`;
     }
 
-    if(level_extended.diff_rank === "Insane Demon"){
-            let levelCardHtml = `
-        <div class="level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
+    return `
+        <div class="level-card" ${dataAttributes}>
             <div class="card">
                 <div class="row g-0">
                     <div class="col-md-4">
                         <div class="image-container">
-                            <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
-                                <img 
-                                    src="${imageSrc}" 
-                                    alt="${safeName}"
-                                    onerror="this.src='/img/placeholder.png'; this.onerror=null;"
-                                    loading="lazy"
-                                >
-                            </a>
+                            ${imageHtml}
                         </div>
                     </div>
                     <div class="col-md-8">
                         <div class="card-body">
                             <h5 class="card-title">
-                                ${position}. ${safeName}
+                                <a class="level-link" href="${levelUrl}">${position}. ${safeName}</a>
                             </h5>
                             
                             <p class="creator-text">
-                                by ${safeCreator}
+                                ${creatorText}
                             </p>
+                            ${badgesHtml}
                             
-                            <div class="badge-container">
-                                <span class="badge-demon">${rankDisplay}</span>
-                                <span class="badge-tier">Tier: ${difficulty}</span>
-                            </div>
-                            
-                            ${level_extended.pos_aredl ? `<p class="aredl-text">IDL Position: #${level_extended.pos_aredl}</p>` : ''}
+                            ${externalHtml}
                         </div>
                     </div>
                 </div>
+                ${layout.history ? createHistoryAccordion(history, `history-${position}`, lang) : ''}
             </div>
         </div>
     `;
+}
 
-    return levelCardHtml;
-    }
-    
-    if(level_extended.diff_rank === "Hard Demon"){
-                    let levelCardHtml = `
-        <div class="level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
-            <div class="card">
-                <div class="row g-0">
-                    <div class="col-md-4">
-                        <div class="image-container">
-                            <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
-                                <img 
-                                    src="${imageSrc}" 
-                                    alt="${safeName}"
-                                    onerror="this.src='/img/placeholder.png'; this.onerror=null;"
-                                    loading="lazy"
-                                >
-                            </a>
-                        </div>
-                    </div>
-                    <div class="col-md-8">
-                        <div class="card-body">
-                            <h5 class="card-title">
-                                ${position}. ${safeName}
-                            </h5>
-                            
-                            <p class="creator-text">
-                                by ${safeCreator}
-                            </p>
-                            
-                            <div class="badge-container">
-                                <span class="badge-demon">${rankDisplay}</span>
-                                <span class="badge-tier">Tier: ${difficulty}</span>
-                            </div>
-                            
-                            ${level_extended.pos_aredl ? `<p class="aredl-text">HDL Position: #${level_extended.pos_aredl}</p>` : ''}
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+function createFooterHtml(lang) {
+    return `
+        <p class="footer-title">ELFETOR HARDEST DEMONS</p>
+        <p>© ${new Date().getFullYear()} ${translate(lang, "site.footer_rights")}</p>
     `;
+}
 
-    return levelCardHtml;
+// Date picker, or the "viewing the list as of..." banner
+function createTimeTravelHtml(asOf, lang) {
+    if (!asOf) {
+        return `
+                <form class="time-travel" action="/home" method="get">
+                    ${createLangInputHtml(lang)}
+                    <label for="time-travel-date">${translate(lang, "time_travel.prompt")}</label>
+                    <input id="time-travel-date" type="date" name="date" required>
+                    <button type="submit">${translate(lang, "time_travel.submit")}</button>
+                </form>`;
     }
-    if(level_extended.diff_rank === "Medium Demon" || level_extended.diff_rank === "Easy Demon"){
-                    let levelCardHtml = `
-        <div class="level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
-            <div class="card">
-                <div class="row g-0">
-                    <div class="col-md-4">
-                        <div class="image-container">
-                            <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
-                                <img 
-                                    src="${imageSrc}" 
-                                    alt="${safeName}"
-                                    onerror="this.src='/img/placeholder.png'; this.onerror=null;"
-                                    loading="lazy"
-                                >
-                            </a>
-                        </div>
-                    </div>
-                    <div class="col-md-8">
-                        <div class="card-body">
-                            <h5 class="card-title">
-                                ${position}. ${safeName}
-                            </h5>
-                            
-                            <p class="creator-text">
-                                by ${safeCreator}
-                            </p>
-                            
-                            <div class="badge-container">
-                                <span class="badge-demon">${rankDisplay}</span>
-                                <span class="badge-tier">Tier: ${difficulty}</span>
-                            </div>
-                            
-                            ${level_extended.pos_aredl ? `<p class="aredl-text">List Position: #${level_extended.pos_aredl}</p>` : ''}
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
 
-    return levelCardHtml;
+    const source = asOf.source === 'snapshot'
+        ? translate(lang, "time_travel.snapshot", { date: formatDate(asOf.snapshot_date, lang) })
+        : translate(lang, "time_travel.rebuilt");
+    return `
+                <div class="time-travel time-travel-active">
+                    <p>${translate(lang, "time_travel.viewing", { date: formatDate(asOf.date, lang), source })}</p>
+                    <a href="${withLang("/home", lang)}">${translate(lang, "time_travel.back")}</a>
+                </div>`;
+}
+
+// GET forms keep the language
+function createLangInputHtml(lang) {
+    return lang === SITE_LANGUAGE ? "" : `<input type="hidden" name="lang" value="${lang}">`;
+}
+
+// FILTERS, SORTING & GROUPING
+// Shared by /home and the API:
+// ?rank=Insane%20Demon,Extreme%20Demon&tier=20-27&creator=...&q=...
+// &sort=position|tier|aredl|name&order=asc|desc&group=rank|tier
+const SORTS = {
+    position: (a, b) => a.position - b.position,
+    name: (a, b) => a.name.localeCompare(b.name) || a.position - b.position,
+    // hardest first
+    tier: (a, b) => (parseFloat(b.tier) || 0) - (parseFloat(a.tier) || 0) || a.position - b.position,
+    // levels without an external position go last
+    aredl: (a, b) => (a.external_position || Infinity) - (b.external_position || Infinity) || a.position - b.position,
+};
+
+const GROUPS = {
+    rank: {
+        key: level => level.rank || "Unknown",
+        order: (a, b) => rankOrder(a) - rankOrder(b),
+    },
+    tier: {
+        key: level => (level.tier ? `Tier ${level.tier}` : "No tier"),
+        order: (a, b) => (parseFloat(b.replace("Tier ", "")) || 0) - (parseFloat(a.replace("Tier ", "")) || 0),
+    },
+};
+
+function rankOrder(rank) {
+    const index = Object.keys(RANK_META).indexOf(rank);
+    return index === -1 ? Infinity : index;
+}
+
+// Returns { options } or { error } for a bad parameter
+function parseListQuery(query) {
+    const options = {};
+
+    if (query.rank) {
+        const ranks = String(query.rank).split(",").map(r => r.trim()).filter(Boolean);
+        const known = ranks.map(r => Object.keys(RANK_META).find(k => k.toLowerCase() === r.toLowerCase()));
+        if (known.includes(undefined)) return { error: `rank must be one of: ${Object.keys(RANK_META).join(", ")}` };
+        options.rank = known;
+    }
+
+    if (query.tier) {
+        const match = String(query.tier).trim().match(/^(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?$/);
+        if (!match) return { error: "tier must be a number or a range like 20-27" };
+        const min = parseFloat(match[1]);
+        const max = match[2] === undefined ? min : parseFloat(match[2]);
+        options.tier = { min: Math.min(min, max), max: Math.max(min, max), text: String(query.tier).trim() };
+    }
+
+    if (query.creator) options.creator = String(query.creator).trim().toLowerCase();
+    if (query.q) options.q = String(query.q).trim().toLowerCase();
+
+    if (query.sort) {
+        if (!SORTS[query.sort]) return { error: `sort must be one of: ${Object.keys(SORTS).join(", ")}` };
+        options.sort = String(query.sort);
     }
+    if (query.order) {
+        if (!["asc", "desc"].includes(query.order)) return { error: "order must be asc or desc" };
+        options.order = String(query.order);
+    }
+    if (query.group) {
+        if (!GROUPS[query.group]) return { error: `group must be one of: ${Object.keys(GROUPS).join(", ")}` };
+        options.group = String(query.group);
+    }
+
+    return { options };
 }
 
-function CreateCardLevels_Legacy(level_legacy, index) {
-    const position = index + 151;
- 
-    const videoId = extractYouTubeVideoId(level_legacy.video_url);
- 
-    const imageSrc = videoId
-        ? `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`
-        : '/img/placeholder.png';
- 
-    const difficulty = `${level_legacy.diff_scale || ''}`;
-    const rankDisplay = `${level_legacy.diff_rank || ''}`;
- 
-    const safeName    = (level_legacy.lvl_name    || '').replace(/"/g, '&quot;');
-    const safeCreator = (level_legacy.lvl_creator || '').replace(/"/g, '&quot;');
-    const safeVideoUrl = level_legacy.video_url || '#';
- 
-    // Badge class choice
-    let badgeClass = 'badge-demon';
-    if (level_legacy.diff_rank === 'Extreme Demon') badgeClass = 'badge-extreme';
-    else if (level_legacy.diff_rank === 'Insane Demon') badgeClass = 'badge-insane';
-    else if (level_legacy.diff_rank === 'Hard Demon')   badgeClass = 'badge-hard';
-    else if (level_legacy.diff_rank === 'Medium Demon') badgeClass = 'badge-medium';
-    else if (level_legacy.diff_rank === 'Easy Demon')   badgeClass = 'badge-easy';
- 
-    // Link's position text
-    let aredlLabel = 'List Position';
-    if (level_legacy.diff_rank === 'Extreme Demon') aredlLabel = 'List Position';
-    else if (level_legacy.diff_rank === 'Insane Demon') aredlLabel = 'IDL Position';
-    else if (level_legacy.diff_rank === 'Hard Demon')   aredlLabel = 'AREDL Position';
- 
-    const levelCardHtml = `
-<div class="col level-card" data-name="${safeName.toLowerCase()}" data-creator="${safeCreator.toLowerCase()}" data-position="${position}">
-    <div class="card h-100 legacy-card">
-        <!-- Imagem ocupa toda a largura do card -->
-        <a href="${safeVideoUrl}" target="_blank" rel="noopener noreferrer">
-            <img
-                class="legacy-card-img"
-                src="${imageSrc}"
-                alt="${safeName}"
-                onerror="this.src='/img/placeholder.png'; this.onerror=null;"
-                loading="lazy"
-            >
-        </a>
- 
-        <!-- Dados do nível ficam abaixo da imagem -->
-        <div class="card-body legacy-card-body">
-            <h6 class="card-title legacy-card-title">
-                ${position}. ${safeName}
-            </h6>
- 
-            <p class="creator-text legacy-creator">
-                by ${safeCreator}
-            </p>
- 
-            <div class="badge-container">
-                <span class="badge-demon">${rankDisplay}</span>
-                ${difficulty ? `<span class="badge-tier">Tier: ${difficulty}</span>` : ''}
+function hasListQuery(options) {
+    return Object.keys(options).length > 0;
+}
+
+// Works on API-shaped rows (name, creator, rank, tier, position...)
+function applyListQuery(levels, options) {
+    let result = levels.filter(level => {
+        if (options.rank && !options.rank.includes(level.rank)) return false;
+        if (options.tier) {
+            const tier = parseFloat(level.tier);
+            if (isNaN(tier) || tier < options.tier.min || tier > options.tier.max) return false;
+        }
+        if (options.creator && !level.creator.toLowerCase().includes(options.creator)) return false;
+        if (options.q && !`${level.name} ${level.creator} ${level.position}`.toLowerCase().includes(options.q)) return false;
+        return true;
+    });
+
+    result = result.slice().sort(SORTS[options.sort || "position"]);
+    if (options.order === "desc") result.reverse();
+    return result;
+}
+
+// [{ name, levels }] in rank / tier order, keeping the sort inside each group
+function groupLevels(levels, group) {
+    const { key, order } = GROUPS[group];
+    const groups = new Map();
+    levels.forEach(level => {
+        const name = key(level);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(level);
+    });
+    return [...groups.keys()].sort(order).map(name => ({ name, levels: groups.get(name) }));
+}
+
+// Filter bar, pre-filled from the current URL
+function createFilterBarHtml(options, asOf, lang) {
+    const t = key => translate(lang, key);
+    const selected = (value, current) => (value === current ? " selected" : "");
+    const rankOptions = Object.keys(RANK_META)
+        .map(rank => `<option value="${rank}"${selected(rank, options.rank && options.rank.length === 1 ? options.rank[0] : "")}>${rank}</option>`)
+        .join("");
+    const sortOptions = ["position", "tier", "aredl", "name"]
+        .map(value => `<option value="${value}"${selected(value, options.sort || "position")}>${t(`filter.sort_${value}`)}</option>`)
+        .join("");
+    const groupOptions = [["", t("filter.no_group")], ["rank", t("filter.group_rank")], ["tier", t("filter.group_tier")]]
+        .map(([value, label]) => `<option value="${value}"${selected(value, options.group || "")}>${label}</option>`)
+        .join("");
+
+    return `
+                <form class="filter-bar" action="/home" method="get">
+                    ${asOf ? `<input type="hidden" name="date" value="${asOf.date}">` : ""}
+                    ${createLangInputHtml(lang)}
+                    <select name="rank" aria-label="Rank"><option value="">${t("filter.any_rank")}</option>${rankOptions}</select>
+                    <input name="tier" placeholder="${t("filter.tier")}" value="${escapeHtml(options.tier ? options.tier.text : "")}" aria-label="Tier">
+                    <input name="creator" placeholder="${t("filter.creator")}" value="${escapeHtml(options.creator || "")}" aria-label="${t("filter.creator")}">
+                    <select name="sort" aria-label="${t("filter.sort_by")}">${sortOptions}</select>
+                    <select name="group" aria-label="${t("filter.group_by")}">${groupOptions}</select>
+                    <button type="submit">${t("filter.apply")}</button>
+                    ${hasListQuery(options) ? `<a href="${withLang(`/home${asOf ? `?date=${asOf.date}` : ""}`, lang)}">${t("filter.clear")}</a>` : ""}
+                </form>`;
+}
+
+// Cards of one list, from rows already filtered / sorted by applyListQuery
+function createListCardsHtml(entries, list, options, lang) {
+    if (entries.length === 0) {
+        return hasListQuery(options) ? `<p class="no-results text-center text-muted">${translate(lang, "filter.no_results")}</p>` : '';
+    }
+
+    const cards = levels => levels.map(row => createLevelCard(row.level, list, row.position, row.slug, row.history, lang)).join('');
+    if (!options.group) return cards(entries);
+
+    return groupLevels(entries, options.group).map(group => {
+        const title = `<h3 class="group-title">${escapeHtml(group.name)} <span>(${group.levels.length})</span></h3>`;
+        const heading = listLayout(list).template === "grid" ? `<div class="col-12">${title}</div>` : title;
+        return heading + cards(group.levels);
+    }).join('');
+}
+
+// API rows plus the raw level, which is what the card renderer needs
+function listRows(levels, list, lang) {
+    const slugs = buildSlugMap(levels);
+    const names = levelNames(levels);
+    return levels[list].map((level, index) => ({ ...toApiLevel(level, list, index, slugs.get(level), names, lang), level }));
+}
+
+// LAZY LISTS
+const LAZY_PAGE_SIZE = 24;
+
+// The filters (and the language) as a query string, so the follow-up pages
+// match the first one
+function listQueryString(options, lang) {
+    const params = new URLSearchParams();
+    if (lang !== SITE_LANGUAGE) params.set("lang", lang);
+    if (options.rank) params.set("rank", options.rank.join(","));
+    if (options.tier) params.set("tier", options.tier.text);
+    if (options.creator) params.set("creator", options.creator);
+    if (options.q) params.set("q", options.q);
+    if (options.sort) params.set("sort", options.sort);
+    if (options.order) params.set("order", options.order);
+    return params.toString();
+}
+
+// First page of cards plus the data-* attributes the scroll loader reads.
+// Time travel and grouped views are rendered in full.
+function createLazyListHtml(entries, list, options, asOf, lang) {
+    if (asOf || options.group || !listLayout(list).lazy || entries.length <= LAZY_PAGE_SIZE) {
+        return { cardsHtml: createListCardsHtml(entries, list, options, lang), attributes: "" };
+    }
+    return {
+        cardsHtml: createListCardsHtml(entries.slice(0, LAZY_PAGE_SIZE), list, options, lang),
+        attributes: `data-lazy-list="${list}" data-total="${entries.length}" data-next-offset="${LAZY_PAGE_SIZE}" data-query="${escapeHtml(listQueryString(options, lang))}"`,
+    };
+}
+
+// Sections for lists that only exist in lists.config.json (home.html has
+// fixed ones for Main, Extended and Legacy); they go before Legacy
+function createExtraListsHtml(rows, options, asOf, lang) {
+    return LIST_NAMES.filter(list => !LIST_LAYOUTS[list]).map(list => {
+        const { cardsHtml, attributes } = createLazyListHtml(rows(list), list, options, asOf, lang);
+        return `
+    <h1 class="section-title">${escapeHtml(translate(lang, "site.list_title", { list: LIST_TITLES[list].toUpperCase() }))}</h1>
+
+    <div class="extended-levels-list container">
+        <div class="row justify-content-center">
+            <div class="col-lg-10 col-12" id="${list}Cards" ${attributes}>
+                ${cardsHtml}
             </div>
- 
-            ${level_legacy.pos_aredl
-                ? `<p class="aredl-text">${aredlLabel}: #${level_legacy.pos_aredl}</p>`
-                : ''}
+            <div class="lazy-sentinel" data-target="${list}Cards"></div>
         </div>
     </div>
-</div>
 `;
- 
-    return levelCardHtml;
+    }).join('');
 }
 
 // GENERATE PAGE
-function generatePage() {
-    // LOAD UPDATED DATA ON EVERY REQUEST
-    const { main: Mainlevels, extended: Extendedlevels, legacy: Legacylevels } = loadLevels();
+function generatePage(levels = loadLevels(), asOf = null, options = {}, lang = SITE_LANGUAGE) {
+    const rows = list => applyListQuery(listRows(levels, list, lang), options);
     
     const htmlPagePath = path.join(__dirname, '/public/home.html');
-    let htmlPage = fs.readFileSync(htmlPagePath, 'utf-8');
+    let htmlPage = fillTemplate(readFileCached(htmlPagePath).content, lang);
     
     // MAIN LEVELS DATA:
-    const cardsMainHtml = Mainlevels.map((level_main, index) => CreateCardLevels_Main(level_main, index)).join('');
+    const cardsMainHtml = createListCardsHtml(rows("main"), "main", options, lang);
 
     // EXTENDED LEVELS DATA:
-    const cardsExtendedHtml = Extendedlevels.map((level_extended, index) => CreateCardLevels_Extended(level_extended, index)).join('');
+    const extended = createLazyListHtml(rows("extended"), "extended", options, asOf, lang);
+    const cardsExtendedHtml = extended.cardsHtml;
 
     // LEGACY LEVELS DATA:
-    const cardsLegacyHtml = Legacylevels.map((level_legacy, index) => CreateCardLevels_Legacy(level_legacy, index)).join('');
+    const legacy = createLazyListHtml(rows("legacy"), "legacy", options, asOf, lang);
+    const cardsLegacyHtml = legacy.cardsHtml;
 
-    const footerHtml = `
-        <p class="footer-title">ELFETOR HARDEST DEMONS</p>
-        <p>© ${new Date().getFullYear()} All rights reserved</p>
-    `;
+    const footerHtml = createFooterHtml(lang);
 
     // replace placeholders
     htmlPage = htmlPage.replaceAll('{{cardsMainHtml}}', cardsMainHtml);
     htmlPage = htmlPage.replaceAll('{{cardsExtendedHtml}}', cardsExtendedHtml);
     htmlPage = htmlPage.replaceAll('{{cardsLegacyHtml}}', cardsLegacyHtml);
+    htmlPage = htmlPage.replaceAll('{{extendedLazyAttributes}}', extended.attributes);
+    htmlPage = htmlPage.replaceAll('{{legacyLazyAttributes}}', legacy.attributes);
+    htmlPage = htmlPage.replaceAll('{{extraListsHtml}}', createExtraListsHtml(rows, options, asOf, lang));
     htmlPage = htmlPage.replaceAll('{{footer}}', footerHtml);
+    htmlPage = htmlPage.replaceAll('{{timeTravelHtml}}', createTimeTravelHtml(asOf, lang));
+    htmlPage = htmlPage.replaceAll('{{filterBarHtml}}', createFilterBarHtml(options, asOf, lang));
 
     // fallbacks if placeholders weren't present
     if (!htmlPage.includes(cardsExtendedHtml)) {
@@ -491,14 +717,489 @@ function generatePage() {
     return htmlPage;
 }
 
+// LEVEL PAGE
+
+// Finds a level by slug, id, or global position ("12" or "#12")
+function findLevelPage(param, lang) {
+    const all = getApiLevels(null, lang);
+    const value = String(param || "").trim();
+
+    const bySlug = all.find(l => l.slug === value);
+    if (bySlug) return { level: bySlug, all };
+
+    const byId = all.find(l => l.id === value);
+    if (byId) return { level: byId, all, redirect: 301 };
+
+    const positionMatch = value.match(/^#?(\d+)$/);
+    if (positionMatch) {
+        const byPosition = all.find(l => l.position === Number(positionMatch[1]));
+        if (byPosition) return { level: byPosition, all, redirect: 302 };
+    }
+
+    // Positions change, so that redirect is temporary; a bare name slug
+    // of a level that later got a creator suffix is a permanent one
+    const byName = all.find(l => slugify(l.name) === value);
+    if (byName) return { level: byName, all, redirect: 301 };
+
+    return null;
+}
+
+function createLevelNavLink(level, label, lang) {
+    if (!level) return '<span></span>';
+    return `<a class="level-nav-link" href="${withLang(`/level/${level.slug}`, lang)}">${label} #${level.position}. ${escapeHtml(level.name)}</a>`;
+}
+
+function generateLevelPage(level, all, lang = SITE_LANGUAGE) {
+    const htmlPagePath = path.join(__dirname, '/public/level.html');
+    let htmlPage = fillTemplate(readFileCached(htmlPagePath).content, lang);
+
+    const videoId = extractYouTubeVideoId(level.video_url);
+    const videoHtml = videoId
+        ? `<div class="ratio ratio-16x9"><iframe src="https://www.youtube.com/embed/${videoId}" title="${escapeHtml(level.name)}" allowfullscreen></iframe></div>`
+        : `<p class="text-muted">${translate(lang, "level.no_video")}</p>`;
+
+    const externalHtml = level.external_position
+        ? `<p class="aredl-text">${translate(lang, "card.external_position", { list: level.external_list || translate(lang, "card.external_list"), position: level.external_position })}</p>`
+        : '';
+
+    const index = all.indexOf(level);
+    const navHtml = createLevelNavLink(all[index - 1], '←', lang) + createLevelNavLink(all[index + 1], '→', lang);
+
+    const replacements = {
+        '{{levelName}}': escapeHtml(level.name),
+        '{{levelPosition}}': level.position,
+        '{{levelList}}': escapeHtml(translate(lang, "site.list_title", { list: level.list.toUpperCase() })),
+        '{{levelCreator}}': translate(lang, "card.by", { creator: escapeHtml(level.creator) }),
+        '{{levelRank}}': escapeHtml(level.rank || ''),
+        '{{levelTier}}': translate(lang, "card.tier", { tier: escapeHtml(level.tier || '-') }),
+        '{{levelExternal}}': externalHtml,
+        '{{levelVideo}}': videoHtml,
+        '{{levelHistory}}': formatPositionHistory(level.history, lang),
+        '{{levelNav}}': navHtml,
+        '{{footer}}': createFooterHtml(lang),
+    };
+    Object.entries(replacements).forEach(([key, value]) => {
+        htmlPage = htmlPage.replaceAll(key, value);
+    });
+
+    return htmlPage;
+}
+
 // ROUTES
 app.get("/", (req, res) => {
-  res.redirect("/home");
+  res.redirect(withLang("/home", requestLanguage(req)));
 });
 
+// Browsers revalidate on every visit and get a 304 until the data changes
+const PAGE_CACHE_CONTROL = "public, max-age=0, must-revalidate";
+
 app.get("/home", (req, res) => {
-  console.log("Carregando dados atualizados do JSON...");
-  res.send(generatePage());
+  const date = req.query.date ? String(req.query.date) : null;
+  if (date && !isValidDate(date)) return res.status(400).send("Invalid date, use YYYY-MM-DD");
+
+  const { options, error } = parseListQuery(req.query);
+  if (error) return res.status(400).send(escapeHtml(error));
+  const lang = requestLanguage(req);
+
+  // A snapshot file can be added without touching the level data
+  const snapshot = date ? snapshotFile(date) : undefined;
+  res.set("Cache-Control", PAGE_CACHE_CONTROL);
+  if (setValidators(req, res, path.join(__dirname, "public/home.html"), snapshot)) return res.status(304).end();
+
+  const render = levels => {
+    if (!date) return generatePage(levels, null, options, lang);
+    const asOf = listsAsOf(__dirname, levels, date);
+    return asOf ? generatePage(asOf.lists, asOf, options, lang) : null;
+  };
+
+  // Only the unfiltered pages are memoized; filtered views are rendered on demand
+  const templateHash = readFileCached(path.join(__dirname, "public/home.html")).hash;
+  const snapshotHash = snapshot ? readFileCached(snapshot).hash : "";
+  const year = new Date().getFullYear();
+  const html = hasListQuery(options)
+    ? render(loadLevels())
+    : cachedForLevels(`home:${templateHash}:${snapshotHash}:${year}:${date || ""}:${lang}`, render);
+
+  if (!html) return res.status(404).send(`No list data available for ${date}`);
+  sendPage(req, res, html, lang);
+});
+
+app.get("/level/:slug", (req, res) => {
+  const lang = requestLanguage(req);
+  const found = findLevelPage(req.params.slug, lang);
+  if (!found) return res.status(404).send("Level not found");
+  if (found.redirect) return res.redirect(found.redirect, withLang(`/level/${found.level.slug}`, lang));
+
+  res.set("Cache-Control", PAGE_CACHE_CONTROL);
+  if (setValidators(req, res, path.join(__dirname, "public/level.html"))) return res.status(304).end();
+  sendPage(req, res, generateLevelPage(found.level, found.all, lang), lang);
+});
+
+// /changes and the feeds are built from changes.json (missing until the
+// first change)
+function changesFile() {
+  const file = path.join(__dirname, CHANGES_FILE);
+  return fs.existsSync(file) ? file : undefined;
+}
+
+app.get("/changes", (req, res) => {
+  res.set("Cache-Control", PAGE_CACHE_CONTROL);
+  if (setValidators(req, res, path.join(__dirname, "public/changes.html"), changesFile())) return res.status(304).end();
+  const lang = requestLanguage(req);
+  sendPage(req, res, generateChangesPage(lang), lang);
+});
+
+app.get("/feed.xml", (req, res) => {
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res, changesFile())) return res.status(304).end();
+  res.type("application/atom+xml").send(generateAtomFeed(req));
+});
+
+app.get("/feed.json", (req, res) => {
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res, changesFile())) return res.status(304).end();
+  res.type("application/feed+json").send(JSON.stringify(generateJsonFeed(req), null, 2));
+});
+
+// EXPORT
+// /export.csv, /export.tsv, /export.md — the combined list (or ?list=extended,
+// ?range=76-100) for spreadsheets and posts; same output as the manager's
+// export command
+const EXPORT_TYPES = { csv: "text/csv", tsv: "text/tab-separated-values", md: "text/markdown" };
+
+app.get("/export.:format(csv|tsv|md)", (req, res) => {
+  const format = req.params.format;
+  const list = req.query.list ? String(req.query.list) : null;
+  if (list && !LIST_NAMES.includes(list)) return apiError(res, 400, `list must be one of ${LIST_NAMES.join(", ")}`);
+  const range = req.query.range ? parseRange(req.query.range) : null;
+  if (req.query.range && !range) return apiError(res, 400, "range must look like 76-150, 151- or 12");
+
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res)) return res.status(304).end();
+
+  const name = ["elfetor-hardest-demons", list, req.query.range && String(req.query.range).replace(/\s/g, "")].filter(Boolean).join("-");
+  if (format !== "md") res.attachment(`${name}.${format}`);
+  res.type(`${EXPORT_TYPES[format]}; charset=utf-8`).send(formatExport(exportRows(loadLevels(), { list, range }), format));
+});
+
+// API
+const API_CACHE_CONTROL = "public, max-age=60, s-maxage=300, stale-while-revalidate=600";
+const API_MAX_LIMIT = 500;
+
+function apiError(res, status, message) {
+  res.set("Cache-Control", "no-store");
+  return res.status(status).json({ error: message });
+}
+
+// ?fields=name,position -> keeps only the requested keys
+function parseFields(query) {
+  if (!query.fields) return null;
+  return String(query.fields).split(",").map(f => f.trim()).filter(Boolean);
+}
+
+function pickFields(level, fields) {
+  if (!fields) return level;
+  const picked = {};
+  fields.forEach(field => {
+    if (field in level) picked[field] = level[field];
+  });
+  return picked;
+}
+
+// ?limit= / ?offset= -> null when invalid
+function parsePaging(query, total) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? total : Number(query.limit);
+  if (!Number.isInteger(offset) || offset < 0) return null;
+  if (!Number.isInteger(limit) || limit < 0) return null;
+  return { offset, limit: Math.min(limit, API_MAX_LIMIT) };
+}
+
+function sendLevelCollection(req, res, allLevels) {
+  const { options, error } = parseListQuery(req.query);
+  if (error) return apiError(res, 400, error);
+
+  const levels = applyListQuery(allLevels, options);
+  const paging = parsePaging(req.query, levels.length);
+  if (!paging) return apiError(res, 400, "limit and offset must be non-negative integers");
+
+  const fields = parseFields(req.query);
+  const page = levels.slice(paging.offset, paging.offset + paging.limit);
+
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res)) return res.status(304).end();
+
+  const body = { total: levels.length, offset: paging.offset, limit: paging.limit };
+  if (options.group) {
+    body.groups = groupLevels(page, options.group).map(group => ({
+      name: group.name,
+      levels: group.levels.map(level => pickFields(level, fields)),
+    }));
+  } else {
+    body.levels = page.map(level => pickFields(level, fields));
+  }
+  res.json(body);
+}
+
+// ?lang=pt -> history text in Portuguese
+app.get("/api/levels", (req, res) => {
+  sendLevelCollection(req, res, getApiLevels(null, requestLanguage(req)));
+});
+
+app.get("/api/levels/:list([a-z][a-z0-9-]*)", (req, res, next) => {
+  if (!LIST_NAMES.includes(req.params.list)) return next();
+  sendLevelCollection(req, res, getApiLevels(req.params.list, requestLanguage(req)));
+});
+
+// Rendered cards for the /home scroll loader and search: { total, offset,
+// limit, next_offset, html }; takes the same filters as /api/levels
+app.get("/api/cards/:list([a-z][a-z0-9-]*)", (req, res, next) => {
+  if (!LIST_NAMES.includes(req.params.list)) return next();
+  const { options, error } = parseListQuery(req.query);
+  if (error) return apiError(res, 400, error);
+  if (options.group) return apiError(res, 400, "group is not supported for card pages");
+
+  const list = req.params.list;
+  const lang = requestLanguage(req);
+  const entries = cachedForLevels(`card-rows:${list}:${lang}`, levels => listRows(levels, list, lang));
+  const matching = applyListQuery(entries, options);
+  const paging = parsePaging({ limit: String(LAZY_PAGE_SIZE), ...req.query }, matching.length);
+  if (!paging) return apiError(res, 400, "limit and offset must be non-negative integers");
+
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res)) return res.status(304).end();
+
+  const page = matching.slice(paging.offset, paging.offset + paging.limit);
+  const nextOffset = paging.offset + page.length;
+  res.json({
+    total: matching.length,
+    offset: paging.offset,
+    limit: paging.limit,
+    next_offset: nextOffset < matching.length ? nextOffset : null,
+    html: page.length > 0 || paging.offset === 0 ? createListCardsHtml(page, list, options, lang) : "",
+  });
+});
+
+app.get("/api/levels/:position", (req, res) => {
+  const position = Number(req.params.position);
+  if (!Number.isInteger(position) || position < 1) {
+    return apiError(res, 400, "position must be a positive integer");
+  }
+
+  const level = getApiLevels(null, requestLanguage(req)).find(l => l.position === position);
+  if (!level) return apiError(res, 404, `No level at position ${position}`);
+
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  if (setValidators(req, res)) return res.status(304).end();
+  res.json(pickFields(level, parseFields(req.query)));
+});
+
+// The snapshot a dated view is read from (see listsAsOf), if there is one
+function snapshotFile(date) {
+  const snapshotDate = snapshotDateFor(__dirname, date);
+  return snapshotDate ? path.join(__dirname, snapshotPath(snapshotDate)) : undefined;
+}
+
+app.get("/api/snapshots", (req, res) => {
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  res.json({ dates: listSnapshotDates(__dirname) });
+});
+
+app.get("/api/snapshots/:date", (req, res) => {
+  const date = req.params.date;
+  if (!isValidDate(date)) return apiError(res, 400, "date must be YYYY-MM-DD");
+
+  const asOf = listsAsOf(__dirname, loadLevels(), date);
+  if (!asOf) return apiError(res, 404, `No list data available for ${date}`);
+
+  const slugs = buildSlugMap(asOf.lists);
+  const names = levelNames(asOf.lists);
+  const lang = requestLanguage(req);
+  const levels = LIST_NAMES.flatMap(list => asOf.lists[list].map((level, index) => toApiLevel(level, list, index, slugs.get(level), names, lang)));
+  const fields = parseFields(req.query);
+
+  res.set("Cache-Control", API_CACHE_CONTROL);
+  // A snapshot file can be added without touching the level data
+  if (setValidators(req, res, snapshotFile(date))) return res.status(304).end();
+  res.json({
+    date,
+    snapshot_date: asOf.snapshot_date,
+    source: asOf.source,
+    total: levels.length,
+    levels: levels.map(level => pickFields(level, fields)),
+  });
+});
+
+app.use("/api", (req, res) => {
+  apiError(res, 404, "Not found");
+});
+
+// FEEDS
+// Text from the same change events as CHANGELOG.md, in English or (?lang=pt)
+// Portuguese
+const FEED_LIMIT = 50;
+
+// Stable across hosts (localhost, preview deploys, production)
+function feedEntryId(change) {
+    return `tag:elfetor-hardest-demons,${change.date.slice(0, 10)}:change-${change.id}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function siteUrl(req) {
+    return `${req.protocol}://${req.get("host")}`;
+}
+
+const CHANGES_PAGE_LIMIT = 100;
+
+// Recent changes with the page of the affected level (null if it's gone)
+// and the text in `lang`; shared by the feeds and /changes
+function getChangeEntries(limit, lang) {
+    const levels = getApiLevels();
+
+    return recentChanges(__dirname, limit).map(change => {
+        // By id, so renamed levels keep their link; older entries only have the name
+        const level = change.level_id
+            ? levels.find(l => l.id === change.level_id)
+            : levels.find(l => l.name.toLowerCase() === String(change.level || "").toLowerCase());
+        const where = change.position ? ` #${change.position}` : "";
+        const operation = translate(lang, `operation.${change.operation}`);
+        return {
+            ...change,
+            title: change.level ? `${operation}: ${change.level}${where}` : operation,
+            text: describeChange(change, lang),
+            cascadeTexts: describeCascades(change, lang),
+            levelPath: level ? withLang(`/level/${level.slug}`, lang) : null,
+        };
+    });
+}
+
+// Feed entries link to the level (or /home)
+function getFeedEntries(req) {
+    const base = siteUrl(req);
+    const lang = requestLanguage(req);
+    return getChangeEntries(FEED_LIMIT, lang).map(entry => ({
+        ...entry,
+        url: `${base}${entry.levelPath || withLang("/home", lang)}`,
+        content: [entry.text, ...entry.cascadeTexts.map(c => `• ${c}`)].join("\n"),
+    }));
+}
+
+function generateAtomFeed(req) {
+    const base = siteUrl(req);
+    const entries = getFeedEntries(req);
+    const updated = entries.length ? entries[0].date : new Date(0).toISOString();
+    const lang = requestLanguage(req);
+
+    const items = entries.map(entry => `
+  <entry>
+    <id>${feedEntryId(entry)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <updated>${entry.date}</updated>
+    <content type="text">${escapeXml(entry.content)}</content>
+  </entry>`).join("");
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>tag:elfetor-hardest-demons,2026:changes</id>
+  <title>${escapeXml(translate(lang, "feed.title"))}</title>
+  <link rel="self" href="${base}${withLang("/feed.xml", lang)}"/>
+  <link rel="alternate" href="${base}${withLang("/home", lang)}"/>
+  <updated>${updated}</updated>
+  <author><name>ELFetor</name></author>${items}
+</feed>
+`;
+}
+
+function generateJsonFeed(req) {
+    const base = siteUrl(req);
+    const lang = requestLanguage(req);
+    return {
+        version: "https://jsonfeed.org/version/1.1",
+        title: translate(lang, "feed.title"),
+        language: translate(lang, "site.html_lang"),
+        home_page_url: `${base}${withLang("/home", lang)}`,
+        feed_url: `${base}${withLang("/feed.json", lang)}`,
+        items: getFeedEntries(req).map(entry => ({
+            id: feedEntryId(entry),
+            url: entry.url,
+            title: entry.title,
+            content_text: entry.content,
+            date_published: entry.date,
+            tags: [entry.operation, entry.list].filter(Boolean),
+        })),
+    };
+}
+
+// CHANGES PAGE
+function createChangeEntryHtml(entry, lang) {
+    const { date, time } = changeDateParts(entry.date, lang);
+    const title = entry.levelPath
+        ? `<a href="${entry.levelPath}">${escapeHtml(entry.title)}</a>`
+        : escapeHtml(entry.title);
+    const cascades = entry.cascadeTexts.length
+        ? `<ul class="change-cascades">${entry.cascadeTexts.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>`
+        : '';
+
+    return `
+                        <div class="change-entry">
+                            <time class="change-date" datetime="${entry.date}">${date} ${time}</time>
+                            <h2 class="change-title">${title}</h2>
+                            <p class="change-summary">${escapeHtml(entry.text)}</p>
+                            ${cascades}
+                        </div>`;
+}
+
+function generateChangesPage(lang = SITE_LANGUAGE) {
+    const htmlPagePath = path.join(__dirname, '/public/changes.html');
+    let htmlPage = fillTemplate(readFileCached(htmlPagePath).content, lang);
+
+    const entries = getChangeEntries(CHANGES_PAGE_LIMIT, lang);
+    const changesHtml = entries.length
+        ? entries.map(entry => createChangeEntryHtml(entry, lang)).join('')
+        : `<p class="text-muted">${translate(lang, "changes.empty")}</p>`;
+
+    htmlPage = htmlPage.replaceAll('{{changesList}}', changesHtml);
+    htmlPage = htmlPage.replaceAll('{{footer}}', createFooterHtml(lang));
+    return htmlPage;
+}
+
+// ERRORS
+function generateDataErrorPage(error) {
+    const items = error.issues.map(issue => `<li>${escapeHtml(formatIssue(issue, SITE_LANGUAGE))}</li>`).join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>ELFETOR HARDEST DEMONS - Data error</title>
+</head>
+<body style="font-family: 'Trebuchet MS', Arial, sans-serif; padding: 2rem; color: #1a1a1a;">
+    <h1 style="color: #980000;">The list data is invalid</h1>
+    <p>The level files failed validation, so the list was not rendered. Run <code>npm run levels</code> → validate to fix them.</p>
+    <ul>${items}</ul>
+</body>
+</html>`;
+}
+
+app.use((err, req, res, next) => {
+  if (!(err instanceof LevelDataError)) return next(err);
+
+  console.error(`${err.message}:`);
+  err.issues.forEach(issue => console.error(`  - ${formatIssue(issue, SITE_LANGUAGE)}`));
+
+  res.set("Cache-Control", "no-store");
+  if (req.path.startsWith("/api/")) {
+    return res.status(500).json({ error: err.message, issues: err.issues.map(issue => formatIssue(issue, SITE_LANGUAGE)) });
+  }
+  res.status(500).send(generateDataErrorPage(err));
 });
 
 // PORT
@@ -509,5 +1210,8 @@ if (process.env.NODE_ENV !== "production") {
   });
 }
 
+// For the tests (test/cards.test.js)
+export { RANK_META, LIST_LAYOUTS, rankMeta, listLayout, createLevelCard };
+
 // VERCEL EXPORT
 export default app;
\ No newline at end of file
@@ -0,0 +1,113 @@
+// ==========================
+// ARQUIVO DE ALTERAÇÕES EM LOTE
+// ==========================
+// Uma lista de passos aplicados em ordem pelo gerenciador (comando
+// "apply"). Os campos são os mesmos das opções dos subcomandos:
+//
+//   op: 'add' | 'move' | 'delete' | 'edit'
+//   level (nome, posição global ou id), to, list, name, creator, video,
+//   rank, tier, aredl, position — no "edit", name é o nome novo; no "add",
+//   force: true adiciona mesmo se já existe um nível parecido; date
+//   (AAAA-MM-DD) é a data registrada no histórico, se não for hoje
+//
+// JSON: [{ "op": "add", "list": "main", "name": "X", "position": 12 },
+//        { "op": "move", "level": "Y", "to": 4 },
+//        { "op": "edit", "level": "Z", "aredl": 310 }]
+//
+// CSV: cabeçalho com os nomes dos campos, uma linha por passo
+//   op,level,to,list,name,creator,rank,tier,aredl,position
+//   add,,,main,X,Criador,Extreme Demon,30,,12
+//   move,Y,4,,,,,,,
+
+const fs = require('fs');
+const path = require('path');
+const { LocalizedError } = require('./i18n.cjs');
+
+const STEP_OPS = ['add', 'move', 'delete', 'edit'];
+const STEP_FIELDS = ['op', 'level', 'to', 'list', 'name', 'creator', 'video', 'rank', 'tier', 'aredl', 'position', 'force', 'date'];
+
+// Uma linha de CSV, com suporte a "campos, com vírgula" e "" escapado
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/)
+    .map((text, i) => ({ text, line: i + 1 }))
+    .filter(l => l.text.trim() && !l.text.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0].text).map(h => h.toLowerCase());
+  const unknown = header.filter(h => !STEP_FIELDS.includes(h));
+  if (unknown.length) throw new LocalizedError('error.batch_unknown_columns', { columns: unknown.join(', ') });
+
+  return lines.slice(1).map(({ text, line }) => {
+    const cells = parseCsvLine(text);
+    const step = { line };
+    header.forEach((field, i) => {
+      if (cells[i] !== undefined && cells[i] !== '') step[field] = cells[i];
+    });
+    return step;
+  });
+}
+
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const steps = Array.isArray(data) ? data : data && data.steps;
+  if (!Array.isArray(steps)) throw new LocalizedError('error.batch_not_steps');
+  return steps.map(step => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) return { op: undefined };
+    const clean = {};
+    Object.keys(step).forEach(key => {
+      if (step[key] !== null && step[key] !== '') clean[key] = step[key];
+    });
+    return clean;
+  });
+}
+
+// Lê e confere o formato dos passos (se cada passo é aplicável só se
+// sabe aplicando, ver applyBatch em scripts/cli.cjs)
+function readBatchFile(file) {
+  if (!fs.existsSync(file)) throw new LocalizedError('error.file_not_found', { file });
+  const content = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  let steps;
+  if (ext === '.json') steps = parseJson(content);
+  else if (ext === '.csv') steps = parseCsv(content);
+  else if (ext) throw new LocalizedError('error.batch_format', { ext });
+  else throw new LocalizedError('error.batch_no_extension');
+
+  steps.forEach((step, i) => {
+    if (!STEP_OPS.includes(step.op)) {
+      throw new LocalizedError('error.batch_unknown_op', { step: i + 1, op: step.op, ops: STEP_OPS.join(', ') });
+    }
+  });
+  return steps;
+}
+
+module.exports = {
+  STEP_OPS,
+  STEP_FIELDS,
+  parseCsvLine,
+  readBatchFile
+};
@@ -0,0 +1,129 @@
+// ==========================
+// CHANGELOG.md E "ÚLTIMAS ALTERAÇÕES" DO README
+// ==========================
+// Os dois são gerados a partir de changes.json (lib/changes.cjs) depois de
+// cada operação do gerenciador; não edite à mão, a próxima operação
+// sobrescreve. No README só o trecho entre os marcadores é trocado:
+//
+//   ## Últimas alterações
+//   <!-- ultimas-alteracoes:inicio -->
+//   ...
+//   <!-- ultimas-alteracoes:fim -->
+//
+// O texto sai em português, gerado dos eventos de cada alteração
+// (describeChange, lib/changes.cjs); o site mostra os mesmos eventos em
+// inglês ou português.
+
+const fs = require('fs');
+const path = require('path');
+const { readChanges, describeChange, describeCascades } = require('./changes.cjs');
+const { DATE_FORMATS, MANAGER_LANGUAGE, formatDate, translate } = require('./i18n.cjs');
+
+const CHANGELOG_FILE = 'CHANGELOG.md';
+const README_FILE = 'README.md';
+const README_HEADING = '## Últimas alterações';
+const README_START = '<!-- ultimas-alteracoes:inicio -->';
+const README_END = '<!-- ultimas-alteracoes:fim -->';
+const README_LIMIT = 10;
+
+// Horário de Brasília, como o resto do gerenciador
+const TIME_ZONE = 'America/Sao_Paulo';
+
+// ISO -> { date: "02/07/2026", time: "19:34", month: "julho de 2026" }
+// (em inglês: "Jul 2, 2026", "19:34", "July 2026")
+function changeDateParts(iso, lang = MANAGER_LANGUAGE) {
+  const date = new Date(iso);
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  const { locale } = DATE_FORMATS[lang] || DATE_FORMATS[MANAGER_LANGUAGE];
+  return {
+    date: formatDate(`${parts.year}-${parts.month}-${parts.day}`, lang),
+    time: `${parts.hour}:${parts.minute}`,
+    month: new Intl.DateTimeFormat(locale, { timeZone: TIME_ZONE, month: 'long', year: 'numeric' }).format(date)
+  };
+}
+
+// "- 02/07/2026 (19:34) - Resumo" e as cascatas como subitens
+function formatChangeEntry(change, text = describeChange(change, MANAGER_LANGUAGE)) {
+  const { date, time } = changeDateParts(change.date);
+  const lines = [`- ${date} (${time}) - ${text}`];
+  describeCascades(change, MANAGER_LANGUAGE).forEach(cascade => lines.push(`  - ${cascade}`));
+  return lines.join('\n');
+}
+
+function renderChangelog(changes) {
+  const lines = [
+    '# Changelog',
+    '',
+    `Gerado a partir de \`changes.json\` pelo gerenciador (\`npm run levels\`); não edite à mão.`
+  ];
+
+  let month = null;
+  changes.slice().reverse().forEach(change => {
+    const parts = changeDateParts(change.date);
+    if (parts.month !== month) {
+      month = parts.month;
+      lines.push('', `## ${month.charAt(0).toUpperCase()}${month.slice(1)}`, '');
+    }
+    // Desfazer/refazer já começam com "Desfeito: "/"Refeito: "
+    const label = translate(MANAGER_LANGUAGE, `operation.${change.operation}`);
+    const text = describeChange(change, MANAGER_LANGUAGE);
+    const summary = text.startsWith(`${label}: `) ? text.slice(label.length + 2) : text;
+    lines.push(formatChangeEntry(change, `**${label}:** ${summary}`));
+  });
+
+  if (changes.length === 0) lines.push('', 'Nenhuma alteração registrada.');
+  return `${lines.join('\n')}\n`;
+}
+
+function renderReadmeSection(changes) {
+  const recent = changes.slice(-README_LIMIT).reverse().map(change => formatChangeEntry(change));
+  const body = recent.length ? recent.join('\n') : 'Nenhuma alteração registrada.';
+  return `${README_START}\n${body}\n\nHistórico completo em [CHANGELOG.md](${CHANGELOG_FILE}).\n${README_END}`;
+}
+
+// Troca só o trecho entre os marcadores. README sem marcadores: o que vem
+// depois do título "Últimas alterações" até o próximo título é substituído
+// (ou a seção é criada no fim)
+function replaceReadmeSection(content, section) {
+  const start = content.indexOf(README_START);
+  const end = content.indexOf(README_END);
+  if (start !== -1 && end > start) {
+    return content.slice(0, start) + section + content.slice(end + README_END.length);
+  }
+
+  const heading = content.indexOf(README_HEADING);
+  if (heading === -1) return `${content.replace(/\s*$/, '')}\n\n${README_HEADING}\n\n${section}\n`;
+
+  const bodyStart = heading + README_HEADING.length;
+  const next = content.slice(bodyStart).search(/\n#{1,2} /);
+  const rest = next === -1 ? '\n' : content.slice(bodyStart + next);
+  return `${content.slice(0, bodyStart)}\n\n${section}${rest}`;
+}
+
+// Regera CHANGELOG.md e a seção do README; devolve os arquivos alterados
+function writeChangelog(rootDir) {
+  const changes = readChanges(rootDir);
+  const written = [];
+  const write = (file, content) => {
+    const filePath = path.join(rootDir, file);
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) return;
+    fs.writeFileSync(filePath, content, 'utf8');
+    written.push(file);
+  };
+
+  write(CHANGELOG_FILE, renderChangelog(changes));
+  const readmePath = path.join(rootDir, README_FILE);
+  const readme = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : '';
+  write(README_FILE, replaceReadmeSection(readme, renderReadmeSection(changes)));
+  return written;
+}
+
+module.exports = {
+  CHANGELOG_FILE,
+  changeDateParts,
+  renderChangelog,
+  writeChangelog
+};
@@ -0,0 +1,143 @@
+// ==========================
+// REGISTRO DE ALTERAÇÕES (changes.json)
+// ==========================
+// Cada operação do gerenciador (adicionar, mover, deletar, editar,
+// desfazer, refazer, repartir, sincronizar) grava uma entrada aqui; o site
+// gera /feed.xml e /feed.json a partir dele.
+//
+//   { id, date (ISO), operation: 'add'|'move'|'delete'|'update'|'undo'|'redo'|'repartition'|'sync',
+//     summary, level, level_id, position, list, cascades: [...], event, cascade_events: [...] }
+//
+// level é o nome na época; level_id (lib/ids.cjs) continua valendo depois
+// de uma renomeação.
+//
+// event e cascade_events descrevem a alteração sem texto
+// ({ type: 'moved', level, from, to, ... }, { type: 'demoted', level, ... });
+// describeChange() e describeCascades() geram o texto em cada idioma
+// (lib/i18n.cjs). summary e cascades são esse texto em português, gravado
+// junto; entradas antigas só têm eles.
+
+const fs = require('fs');
+const path = require('path');
+const { LIST_TITLES } = require('./config.cjs');
+const { MANAGER_LANGUAGE, LocalizedError, translate } = require('./i18n.cjs');
+
+const CHANGES_FILE = 'changes.json';
+const OPERATIONS = ['add', 'move', 'delete', 'update', 'undo', 'redo', 'repartition', 'sync'];
+
+function readChanges(rootDir) {
+  const file = path.join(rootDir, CHANGES_FILE);
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function recordChange(rootDir, change) {
+  if (!OPERATIONS.includes(change.operation)) {
+    throw new LocalizedError('error.unknown_operation', { operation: change.operation });
+  }
+
+  const changes = readChanges(rootDir);
+  const lastId = changes.reduce((max, c) => Math.max(max, c.id || 0), 0);
+  const entry = {
+    id: lastId + 1,
+    date: change.date || new Date().toISOString(),
+    operation: change.operation,
+    summary: change.summary,
+    level: change.level,
+    level_id: change.level_id || null,
+    position: change.position || null,
+    list: change.list || null,
+    cascades: change.cascades || [],
+    event: change.event || null,
+    cascade_events: change.cascade_events || []
+  };
+
+  changes.push(entry);
+  fs.writeFileSync(path.join(rootDir, CHANGES_FILE), JSON.stringify(changes, null, 2), 'utf8');
+  return entry;
+}
+
+// Mais recentes primeiro
+function recentChanges(rootDir, limit = 50) {
+  return readChanges(rootDir).slice().reverse().slice(0, limit);
+}
+
+// ==========================
+// TEXTO DAS ALTERAÇÕES
+// ==========================
+function listTitle(list) {
+  return LIST_TITLES[list] || list;
+}
+
+// { field: 'pos_aredl', from: 12, to: 15 } -> "AREDL: 12 → 15"
+function describeField(field, lang = MANAGER_LANGUAGE) {
+  const value = v => (v === undefined || v === null || v === '' ? '-' : v);
+  return translate(lang, `change.field_${field.field}`, { from: value(field.from), to: value(field.to) });
+}
+
+function describeChangeEvent(event, lang) {
+  const t = (key, params) => translate(lang, key, params);
+  switch (event.type) {
+    case 'added':
+    case 'removed':
+      return t(`change.${event.type}`, { level: event.level, position: event.position, list: listTitle(event.list) });
+    case 'moved':
+      return t('change.moved', { level: event.level, from: event.from, from_list: listTitle(event.from_list), position: event.position, list: listTitle(event.list) });
+    case 'updated':
+      return event.fields.length
+        ? t('change.updated', { level: event.level, fields: event.fields.map(f => describeField(f, lang)).join(', ') })
+        : t('change.updated_none', { level: event.level });
+    case 'repartitioned':
+      return t('change.repartitioned', { ranges: event.ranges.map(r => `${listTitle(r.list)} ${r.range}`).join(', '), count: event.count });
+    case 'synced': {
+      let text = t('change.synced', { source: event.source, file: event.file ? t('change.synced_file', { file: event.file }) : '', count: event.changed });
+      if (event.linked) text += t('change.synced_linked', { count: event.linked });
+      if (event.missing) text += t('change.synced_missing', { count: event.missing });
+      return text;
+    }
+    case 'undone':
+    case 'redone':
+      return t(`change.${event.type}`, { summary: event.original ? describeChangeEvent(event.original, lang) : event.summary });
+    case 'batch':
+      return t('change.batch', { count: event.events.length, summaries: event.events.map(e => describeChangeEvent(e, lang)).join('; ') });
+    default:
+      return event.summary || '';
+  }
+}
+
+// Texto principal (sem as cascatas) de uma alteração ou do resultado de
+// uma operação (lib/engine.cjs)
+function describeChange(change, lang = MANAGER_LANGUAGE) {
+  return change.event ? describeChangeEvent(change.event, lang) : change.summary;
+}
+
+// Quem mudou de lista por causa da alteração, uma linha por nível
+function describeCascades(change, lang = MANAGER_LANGUAGE) {
+  if (!change.event) return change.cascades || [];
+  return (change.cascade_events || []).map(event => translate(lang, `change.${event.type}`, {
+    level: event.level,
+    from: event.from,
+    to: event.to,
+    from_list: listTitle(event.from_list),
+    to_list: listTitle(event.to_list)
+  }));
+}
+
+// Texto e cascatas numa linha só ("texto. cascata; cascata"), como no
+// summary gravado e no commit
+function summarizeChange(change, lang = MANAGER_LANGUAGE) {
+  const cascades = describeCascades(change, lang);
+  return describeChange(change, lang) + (cascades.length ? `. ${cascades.join('; ')}` : '');
+}
+
+module.exports = {
+  CHANGES_FILE,
+  OPERATIONS,
+  describeChange,
+  describeCascades,
+  describeField,
+  summarizeChange,
+  readChanges,
+  recordChange,
+  recentChanges
+};
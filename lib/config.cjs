@@ -0,0 +1,97 @@
+// ==========================
+// CONFIGURAÇÃO DAS LISTAS (lists.config.json)
+// ==========================
+// Quais listas existem, em que ordem, em que arquivo e com quantos níveis.
+// Lido pelo site (index.js) e pelo gerenciador (scripts/cli.cjs):
+//
+//   { "lists": [
+//       { "name": "main", "title": "Main", "file": "levels_main.json", "size": 75 },
+//       { "name": "extended", "title": "Extended", "file": "levels_extended.json", "size": 75 },
+//       { "name": "legacy", "title": "Legacy", "file": "levels_legacy.json" }
+//   ] }
+//
+// A ordem define as posições globais (Main 1-75, Extended 76-150...). A
+// primeira lista é a Main, a segunda a Extended e a última a Legacy, que
+// não tem tamanho (fica com o resto); listas novas entram entre a Extended
+// e a Legacy. Depois de mudar tamanhos ou listas, rode
+// `npm run levels -- repartition` para redistribuir os níveis. Para tirar
+// uma lista, ponha "size": 0, rode repartition e só então remova a entrada
+// (os níveis de um arquivo fora da configuração não são lidos).
+//
+// A seção opcional "git" (remote, branch, templates das mensagens) é lida
+// por lib/git.cjs.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'lists.config.json';
+const ROOT_DIR = path.join(__dirname, '..');
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Sem arquivo de configuração: a divisão de sempre
+const DEFAULT_LISTS = [
+  { name: 'main', title: 'Main', file: 'levels_main.json', size: 75 },
+  { name: 'extended', title: 'Extended', file: 'levels_extended.json', size: 75 },
+  { name: 'legacy', title: 'Legacy', file: 'levels_legacy.json' }
+];
+
+function configError(message) {
+  return new Error(`${CONFIG_FILE}: ${message}`);
+}
+
+function checkLists(lists) {
+  if (!Array.isArray(lists) || lists.length < 3) throw configError('"lists" deve ter pelo menos 3 listas');
+
+  const names = lists.map(l => l && l.name);
+  if (names[0] !== 'main' || names[1] !== 'extended' || names[names.length - 1] !== 'legacy') {
+    throw configError('a ordem deve começar com main, extended e terminar com legacy');
+  }
+
+  lists.forEach((list, i) => {
+    const last = i === lists.length - 1;
+    if (!NAME_PATTERN.test(list.name)) throw configError(`nome de lista inválido: ${JSON.stringify(list.name)}`);
+    if (names.indexOf(list.name) !== i) throw configError(`lista repetida: ${list.name}`);
+    if (typeof list.file !== 'string' || !list.file.endsWith('.json')) throw configError(`${list.name}: "file" deve ser um arquivo .json`);
+    if (lists.findIndex(l => l.file === list.file) !== i) throw configError(`arquivo repetido: ${list.file}`);
+    if (last && list.size !== undefined) throw configError(`${list.name}: a última lista não tem "size" (fica com o resto)`);
+    if (!last && (!Number.isInteger(list.size) || list.size < 0)) throw configError(`${list.name}: "size" deve ser um inteiro >= 0`);
+    if (i === 0 && list.size < 1) throw configError('main: "size" deve ser pelo menos 1');
+  });
+}
+
+function readListConfig(rootDir = ROOT_DIR) {
+  const file = path.join(rootDir, CONFIG_FILE);
+  if (!fs.existsSync(file)) return { lists: DEFAULT_LISTS };
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  checkLists(config.lists);
+  return {
+    ...config,
+    lists: config.lists.map(list => ({
+      ...list,
+      title: list.title || list.name.charAt(0).toUpperCase() + list.name.slice(1)
+    }))
+  };
+}
+
+const LISTS = readListConfig().lists;
+
+const LIST_NAMES = LISTS.map(list => list.name);
+const LIST_FILES = {};
+const LIST_MAX = {};
+const LIST_TITLES = {};
+LISTS.forEach(list => {
+  LIST_FILES[list.name] = list.file;
+  LIST_TITLES[list.name] = list.title;
+  if (list.size !== undefined) LIST_MAX[list.name] = list.size;
+});
+
+module.exports = {
+  CONFIG_FILE,
+  LISTS,
+  LIST_NAMES,
+  LIST_FILES,
+  LIST_MAX,
+  LIST_TITLES,
+  readListConfig
+};
@@ -0,0 +1,498 @@
+// ==========================
+// MOTOR DAS LISTAS
+// ==========================
+// Regras de posição compartilhadas pelo servidor (index.js), pelo
+// gerenciador (scripts/cli.cjs) e pelos outros módulos de lib/.
+//
+// As listas são pedaços de uma única ordem global: Main = posições 1-75,
+// Extended = 76-150, Legacy = 151+ (tamanhos e listas extras em
+// lists.config.json, ver lib/config.cjs). Inserir, mover ou remover mexe
+// na ordem global e depois reparte (partition): quem passa do limite cai
+// para a lista de baixo, quem sobra sobe — cascata e promoção são a mesma
+// coisa vista de lados diferentes.
+//
+// Tudo aqui trabalha em memória; só loadLists lê arquivos. As operações
+// (addLevel, moveLevel, removeLevel, editLevel, repartition) alteram `lists` e devolvem
+// { operation, level, position, list, event, cascade_events, cascades, summary, commitMessage }
+// — event/cascade_events descrevem a alteração sem texto; cascades, summary e
+// commitMessage são o texto em português gerado a partir deles (lib/changes.cjs).
+
+const fs = require('fs');
+const path = require('path');
+const { LIST_NAMES, LIST_FILES, LIST_MAX, LIST_TITLES } = require('./config.cjs');
+const { toEvent, toIsoDate } = require('./history.cjs');
+const { createLevelId, takenIds } = require('./ids.cjs');
+const { similarNames, similarCreators, fuzzyDistance } = require('./fuzzy.cjs');
+const { describeCascades, describeField, summarizeChange } = require('./changes.cjs');
+const { MANAGER_LANGUAGE, LocalizedError, translate } = require('./i18n.cjs');
+
+const MAIN_MAX = LIST_MAX.main; // Top 75
+
+// Primeira posição - 1 de cada lista: { main: 0, extended: 75, legacy: 150 }
+const LIST_OFFSETS = {};
+LIST_NAMES.reduce((offset, list) => {
+  LIST_OFFSETS[list] = offset;
+  return offset + (LIST_MAX[list] || 0);
+}, 0);
+
+// Lista sem arquivo (acabou de entrar em lists.config.json) = vazia
+function loadLists(rootDir) {
+  const lists = {};
+  LIST_NAMES.forEach(list => {
+    const file = path.join(rootDir, LIST_FILES[list]);
+    lists[list] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  });
+  return lists;
+}
+
+// ==========================
+// POSIÇÕES
+// ==========================
+function globalPosition(list, index) {
+  return LIST_OFFSETS[list] + index + 1;
+}
+
+function listForPosition(position) {
+  return LIST_NAMES.find(list => LIST_MAX[list] === undefined || position <= LIST_OFFSETS[list] + LIST_MAX[list]);
+}
+
+// "1-75", "151+" ("—" para uma lista com size 0, sendo esvaziada)
+function listRange(list) {
+  const first = LIST_OFFSETS[list] + 1;
+  if (LIST_MAX[list] === undefined) return `${first}+`;
+  return LIST_MAX[list] > 0 ? `${first}-${first + LIST_MAX[list] - 1}` : '—';
+}
+
+// Ordem global, da posição 1 em diante
+function flatten(lists) {
+  return LIST_NAMES.flatMap(list => lists[list]);
+}
+
+// Ordem global -> { main, extended, legacy } (a última lista fica com o resto)
+function partition(levels) {
+  const lists = {};
+  LIST_NAMES.forEach(list => {
+    const start = LIST_OFFSETS[list];
+    lists[list] = LIST_MAX[list] === undefined ? levels.slice(start) : levels.slice(start, start + LIST_MAX[list]);
+  });
+  return lists;
+}
+
+// Map nível -> { list, index, position }. A posição vem da ordem global
+// real (e não dos tamanhos configurados) para continuar certa antes de
+// uma repartição.
+function placements(lists) {
+  const map = new Map();
+  let position = 0;
+  LIST_NAMES.forEach(list => {
+    lists[list].forEach((level, index) => map.set(level, { list, index, position: ++position }));
+  });
+  return map;
+}
+
+// Identidade de um nível entre duas versões das listas (diário, prévia):
+// o id, ou nome + criador para dados antigos
+function levelKey(level) {
+  return level.id ? `id:${level.id}` : JSON.stringify([level.lvl_name, level.lvl_creator]);
+}
+
+// Map id -> nome atual, para o texto do histórico (formatEvent)
+function levelNames(lists) {
+  return new Map(flatten(lists).filter(l => l.id).map(l => [l.id, l.lvl_name]));
+}
+
+// Todos os níveis que batem com a busca: id, posição global ou nome (sem
+// diferenciar maiúsculas; nomes podem se repetir)
+function matchLevels(lists, query) {
+  const value = String(query === undefined || query === null ? '' : query).trim();
+  if (!value) return [];
+
+  const all = [];
+  LIST_NAMES.forEach(list => {
+    lists[list].forEach((level, index) => all.push({ level, list, index, position: globalPosition(list, index) }));
+  });
+
+  const byId = all.filter(m => m.level.id === value);
+  if (byId.length) return byId;
+  if (!isNaN(value)) return all.filter(m => m.position === parseInt(value, 10));
+  return all.filter(m => m.level.lvl_name.toLowerCase() === value.toLowerCase());
+}
+
+// Um nível só; null se não achou ou se o nome é de mais de um nível
+function findLevel(lists, query) {
+  const matches = matchLevels(lists, query);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function requireLevel(lists, query) {
+  const matches = matchLevels(lists, query);
+  if (matches.length === 0) throw new LocalizedError('error.level_not_found', { query });
+  if (matches.length > 1) {
+    const options = matches.map(m => `#${m.position} id ${m.level.id}`).join(', ');
+    throw new LocalizedError('error.level_ambiguous', { count: matches.length, query, options });
+  }
+  return matches[0];
+}
+
+// Todos os níveis com posição global, para busca e listagem
+function levelRows(lists) {
+  return LIST_NAMES.flatMap(list => lists[list].map((l, i) => ({
+    id: l.id,
+    position: globalPosition(list, i),
+    list,
+    name: l.lvl_name,
+    creator: l.lvl_creator,
+    video_url: l.video_url,
+    rank: l.diff_rank,
+    tier: l.diff_scale,
+    pos_aredl: l.pos_aredl
+  })));
+}
+
+// options.fuzzy: ignora acentos e pontuação e tolera erros de digitação
+// (lib/fuzzy.cjs); os resultados vêm do mais parecido, com `distance`
+function searchLevels(lists, query, options = {}) {
+  if (options.fuzzy) {
+    return levelRows(lists)
+      .map(l => {
+        const distances = [fuzzyDistance(query, l.name), fuzzyDistance(query, l.creator)].filter(d => d !== null);
+        return distances.length ? { ...l, distance: Math.min(...distances) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.distance - b.distance || a.position - b.position);
+  }
+
+  const q = String(query || '').toLowerCase();
+  return levelRows(lists).filter(l =>
+    (l.name || '').toLowerCase().includes(q) ||
+    (l.creator || '').toLowerCase().includes(q)
+  );
+}
+
+// Níveis já existentes (em qualquer lista) com nome e criador parecidos,
+// para avisar antes de adicionar um repetido
+function similarLevels(lists, name, creator) {
+  return levelRows(lists).filter(l => similarNames(l.name, name) && similarCreators(l.creator, creator));
+}
+
+// ==========================
+// HISTÓRICO
+// ==========================
+// Hoje em AAAA-MM-DD (data local)
+function nowDate() {
+  const d = new Date();
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Data dos eventos de uma operação: params.date (para registrar no dia em
+// que o nível foi zerado, não no dia em que a lista foi editada) ou hoje
+function operationDate(params) {
+  if (params.date === undefined || params.date === null || params.date === '') return nowDate();
+  const date = toIsoDate(params.date);
+  if (!date) throw new LocalizedError('error.invalid_date', { date: params.date });
+  if (date > nowDate()) throw new LocalizedError('error.future_date', { date: params.date });
+  return date;
+}
+
+function ensurePosHistory(obj) {
+  if (!Array.isArray(obj.pos_history)) obj.pos_history = [];
+  obj.pos_history = obj.pos_history.map(toEvent);
+}
+
+// Vizinhos de um índice (id e nome), no formato dos eventos (lib/history.cjs)
+function neighbours(data, idx) {
+  const event = {};
+  if (idx > 0) Object.assign(event, { below: data[idx - 1].lvl_name, below_id: data[idx - 1].id });
+  if (idx + 1 < data.length) Object.assign(event, { above: data[idx + 1].lvl_name, above_id: data[idx + 1].id });
+  return event;
+}
+
+// Eventos "pushed" para quem foi ultrapassado por `level` (adicionado acima
+// ou movido por cima) e continua na mesma lista. Quem mudou de lista já
+// ganhou "promoted"/"demoted" em rebalance.
+function pushHistory(before, lists, level, cause, date) {
+  const now = placements(lists);
+  const subjectFrom = before.get(level);
+  const subjectTo = now.get(level);
+
+  now.forEach((to, other) => {
+    const from = before.get(other);
+    if (other === level || !from || from.list !== to.list || from.position === to.position) return;
+    const crossed = subjectFrom
+      ? (from.position < subjectFrom.position) !== (to.position < subjectTo.position)
+      : to.list === subjectTo.list && to.position > subjectTo.position;
+    if (!crossed) return;
+    ensurePosHistory(other);
+    other.pos_history.push({ type: 'pushed', date, level: level.lvl_name, level_id: level.id, cause, delta: from.position - to.position });
+  });
+}
+
+// ==========================
+// CASCATA / PROMOÇÃO
+// ==========================
+// Reparte a ordem global entre as listas e devolve quem mudou de lista
+// (exceto `subject`, o nível da operação) como cascade_events. Cada mudança
+// vira também um evento "demoted" ou "promoted" no histórico do nível.
+function rebalance(lists, order, date, subject = null) {
+  const before = placements(lists);
+  const next = partition(order);
+  LIST_NAMES.forEach(list => { lists[list] = next[list]; });
+
+  const changes = [];
+  placements(lists).forEach((to, level) => {
+    const from = before.get(level);
+    if (level === subject || !from || from.list === to.list) return;
+
+    const event = {
+      type: LIST_NAMES.indexOf(to.list) > LIST_NAMES.indexOf(from.list) ? 'demoted' : 'promoted',
+      from: from.position,
+      to: to.position,
+      from_list: from.list,
+      to_list: to.list
+    };
+    ensurePosHistory(level);
+    level.pos_history.push({ type: event.type, date, ...event });
+    changes.push({ ...event, level: level.lvl_name, level_id: level.id });
+  });
+  return changes;
+}
+
+
+// ==========================
+// OPERAÇÕES
+// ==========================
+// Texto (em português, o idioma dos registros e commits) do resultado de
+// uma operação, a partir de event e cascade_events
+function withText(result) {
+  const summary = summarizeChange(result, MANAGER_LANGUAGE);
+  return {
+    ...result,
+    cascades: describeCascades(result, MANAGER_LANGUAGE),
+    summary,
+    commitMessage: `${translate(MANAGER_LANGUAGE, `operation.${result.operation}`)}: ${summary}`
+  };
+}
+
+// "3" -> 3; vazio -> null; qualquer outra coisa é erro (errorKey, ver
+// locales/). min = 0 para a posição externa (0 = sem posição)
+function parsePosition(value, errorKey, min = 1) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) throw new LocalizedError(errorKey, { value });
+  return number;
+}
+
+// ===== ADICIONAR =====
+// params: { list, name, lvl_creator, video_url, diff_rank, diff_scale, pos_aredl,
+// position?, date? } — position = posição dentro da lista (vazio = final)
+function addLevel(lists, params) {
+  const targetList = params.list;
+  if (!LIST_NAMES.includes(targetList)) throw new LocalizedError('error.invalid_list', { list: targetList, lists: LIST_NAMES.join(', ') });
+  const name = params.name;
+  if (!name) throw new LocalizedError('error.name_required');
+
+  const before = placements(lists);
+  const obj = {
+    id: createLevelId(takenIds(lists)),
+    lvl_name: name,
+    lvl_creator: params.lvl_creator || '',
+    video_url: params.video_url || '',
+    diff_rank: params.diff_rank || '',
+    diff_scale: params.diff_scale || '',
+    pos_aredl: parsePosition(params.pos_aredl, 'error.invalid_external_position', 0) || 0
+  };
+
+  const data = lists[targetList];
+  const pos = parsePosition(params.position, 'error.invalid_position');
+  const idx = pos ? Math.min(pos - 1, data.length) : data.length;
+
+  // Posição na ordem global
+  const order = flatten(lists);
+  const flatIdx = LIST_NAMES.slice(0, LIST_NAMES.indexOf(targetList)).reduce((sum, l) => sum + lists[l].length, 0) + idx;
+  order.splice(flatIdx, 0, obj);
+
+  const date = operationDate(params);
+  const cascadeEvents = rebalance(lists, order, date, obj);
+  const { list: finalList, index: finalIdx, position: globalPos } = placements(lists).get(obj);
+
+  obj.pos_history = [{ type: 'added', date, to: globalPos, ...neighbours(lists[finalList], finalIdx) }];
+  pushHistory(before, lists, obj, 'added', date);
+
+  return withText({
+    operation: 'add',
+    level: name,
+    level_id: obj.id,
+    position: globalPos,
+    list: finalList,
+    event: { type: 'added', level: name, position: globalPos, list: finalList },
+    cascade_events: cascadeEvents
+  });
+}
+
+// ===== MOVER =====
+// params: { level (nome, posição global ou id), to (posição global), date? }
+function moveLevel(lists, params) {
+  const { level, position: oldGlobalPos, list: oldList } = requireLevel(lists, params.level);
+  const target = parsePosition(params.to, 'error.invalid_new_position');
+  if (target === null) throw new LocalizedError('error.new_position_required');
+  if (target === oldGlobalPos) throw new LocalizedError('error.same_position');
+
+  const before = placements(lists);
+  const date = operationDate(params);
+
+  const order = flatten(lists);
+  order.splice(order.indexOf(level), 1);
+  order.splice(Math.min(target - 1, order.length), 0, level);
+
+  const cascadeEvents = rebalance(lists, order, date, level);
+  const { list: newList, index: newLocalIdx, position: newGlobalPos } = placements(lists).get(level);
+
+  ensurePosHistory(level);
+  const event = {
+    type: 'moved',
+    date,
+    from: oldGlobalPos,
+    to: newGlobalPos,
+    delta: oldGlobalPos - newGlobalPos,
+    ...neighbours(lists[newList], newLocalIdx)
+  };
+  if (newList !== oldList) Object.assign(event, { from_list: oldList, to_list: newList });
+  level.pos_history.push(event);
+  pushHistory(before, lists, level, 'moved', date);
+
+  return withText({
+    operation: 'move',
+    level: level.lvl_name,
+    level_id: level.id,
+    from: oldGlobalPos,
+    from_list: oldList,
+    position: newGlobalPos,
+    list: newList,
+    event: { type: 'moved', level: level.lvl_name, from: oldGlobalPos, from_list: oldList, position: newGlobalPos, list: newList },
+    cascade_events: cascadeEvents
+  });
+}
+
+// ===== DELETAR =====
+// params: { level (nome, posição global ou id), date? }
+function removeLevel(lists, params) {
+  const { level, position: globalPos, list } = requireLevel(lists, params.level);
+
+  const name = level.lvl_name;
+
+  const order = flatten(lists);
+  order.splice(order.indexOf(level), 1);
+
+  // Os de baixo sobem para preencher (promoções)
+  const promotions = rebalance(lists, order, operationDate(params));
+
+  return withText({
+    operation: 'delete',
+    level: name,
+    level_id: level.id,
+    position: globalPos,
+    list,
+    event: { type: 'removed', level: name, position: globalPos, list },
+    cascade_events: promotions
+  });
+}
+
+// ===== EDITAR =====
+// params: { level (nome, posição global ou id), fields: { lvl_name?, lvl_creator?,
+// video_url?, diff_rank?, diff_scale?, pos_aredl?, gd_id? }, date? } — campos ausentes
+// ficam como estão. Renomear não mexe no histórico dos outros níveis: ele
+// aponta para o id, e o texto usa o nome atual (lib/history.cjs).
+const EDITABLE_FIELDS = ['lvl_name', 'lvl_creator', 'video_url', 'diff_rank', 'diff_scale', 'pos_aredl', 'gd_id'];
+const INTEGER_FIELDS = ['gd_id'];
+
+function editLevel(lists, params) {
+  const { level, position, list } = requireLevel(lists, params.level);
+  const fields = params.fields || {};
+  const date = operationDate(params);
+
+  const old = {};
+  EDITABLE_FIELDS.forEach(field => { old[field] = level[field]; });
+
+  // "--aredl abc" é recusado aqui, antes de mexer no nível
+  const aredl = parsePosition(fields.pos_aredl, 'error.invalid_external_position', 0);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] === undefined || fields[field] === '') return;
+    if (field === 'pos_aredl') level.pos_aredl = aredl;
+    else level[field] = INTEGER_FIELDS.includes(field) ? parseInt(fields[field], 10) : fields[field];
+  });
+
+  if (typeof level.lvl_name !== 'string' || !level.lvl_name.trim()) throw new LocalizedError('error.empty_name');
+
+  if (old.lvl_name !== level.lvl_name) {
+    ensurePosHistory(level);
+    level.pos_history.push({ type: 'renamed', date, old_name: old.lvl_name, new_name: level.lvl_name });
+  }
+  const changed = EDITABLE_FIELDS
+    .filter(field => old[field] !== level[field])
+    .map(field => ({ field, from: old[field], to: level[field] }));
+
+  const name = level.lvl_name;
+  return withText({
+    operation: 'update',
+    level: name,
+    level_id: level.id,
+    position,
+    list,
+    // "AREDL: 12 → 15" para cada campo alterado
+    changes: changed.map(field => describeField(field, MANAGER_LANGUAGE)),
+    event: { type: 'updated', level: name, fields: changed },
+    cascade_events: []
+  });
+}
+
+// ===== REPARTIR =====
+// Redistribui os níveis conforme os tamanhos de lists.config.json, sem
+// mudar a ordem global. Quem muda de lista ganha "promoted"/"demoted".
+// params: { date? }
+function repartition(lists, params = {}) {
+  const cascadeEvents = rebalance(lists, flatten(lists), operationDate(params));
+  if (cascadeEvents.length === 0) throw new LocalizedError('error.already_partitioned');
+
+  return withText({
+    operation: 'repartition',
+    level: null,
+    position: null,
+    list: null,
+    event: { type: 'repartitioned', ranges: LIST_NAMES.map(list => ({ list, range: listRange(list) })), count: cascadeEvents.length },
+    cascade_events: cascadeEvents
+  });
+}
+
+module.exports = {
+  LIST_NAMES,
+  LIST_FILES,
+  LIST_MAX,
+  LIST_OFFSETS,
+  LIST_TITLES,
+  MAIN_MAX,
+  loadLists,
+  globalPosition,
+  listForPosition,
+  listRange,
+  flatten,
+  partition,
+  placements,
+  levelKey,
+  levelNames,
+  matchLevels,
+  findLevel,
+  requireLevel,
+  levelRows,
+  searchLevels,
+  similarLevels,
+  nowDate,
+  operationDate,
+  addLevel,
+  moveLevel,
+  removeLevel,
+  editLevel,
+  repartition
+};
@@ -0,0 +1,357 @@
+// ==========================
+// EXPORTAR E IMPORTAR (CSV, TSV, MARKDOWN)
+// ==========================
+// A lista inteira (ou uma lista / um intervalo de posições) como tabela,
+// para planilhas e posts. Usado pelo site (/export.csv, /export.md) e pelo
+// gerenciador (comandos export e import).
+//
+//   position,list,name,creator,rank,tier,aredl,video,id
+//   1,main,The Yandere,Dorami,Extreme Demon,31,290,https://...,27bf78f8
+//
+// O import lê o mesmo CSV (ou TSV) de volta: a ordem vem da coluna
+// position (linhas sem posição ficam logo abaixo da linha de cima), os
+// níveis são reconhecidos pelo id (ou nome + criador) e viram operações
+// normais do motor — remover, editar, adicionar e mover, com cascatas e
+// histórico. Importar o arquivo que acabou de ser exportado, com a mesma
+// seleção, não muda nada. A coluna list é só informativa.
+
+const fs = require('fs');
+const path = require('path');
+const { LocalizedError } = require('./i18n.cjs');
+const { parseCsvLine } = require('./batch.cjs');
+const { SOURCES } = require('./sync.cjs');
+const {
+  LIST_NAMES, LIST_OFFSETS, LIST_TITLES, flatten, placements, levelRows, listForPosition,
+  addLevel, moveLevel, removeLevel, editLevel
+} = require('./engine.cjs');
+
+const EXPORT_COLUMNS = ['position', 'list', 'name', 'creator', 'rank', 'tier', 'aredl', 'video', 'id'];
+const EXPORT_FORMATS = ['csv', 'tsv', 'md'];
+
+// Colunas -> campos do nível (as que o import atualiza)
+const IMPORT_FIELDS = {
+  name: 'lvl_name',
+  creator: 'lvl_creator',
+  rank: 'diff_rank',
+  tier: 'diff_scale',
+  aredl: 'pos_aredl',
+  video: 'video_url'
+};
+
+// Planilhas só reconhecem acentos em CSV com BOM
+const BOM = '\uFEFF';
+
+// ==========================
+// SELEÇÃO
+// ==========================
+// "76-150", "151-", "12" -> { from, to }; null se inválido
+function parseRange(value) {
+  const m = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+  if (!m) return null;
+  const from = parseInt(m[1], 10);
+  const to = m[2] === undefined ? from : m[2] === '' ? Infinity : parseInt(m[2], 10);
+  return from >= 1 && to >= from ? { from, to } : null;
+}
+
+// selection: { list?, range? ({ from, to }) }
+function inSelection(row, selection = {}) {
+  if (selection.list && row.list !== selection.list) return false;
+  if (selection.range && (row.position < selection.range.from || row.position > selection.range.to)) return false;
+  return true;
+}
+
+function exportRows(lists, selection) {
+  return levelRows(lists).filter(row => inSelection(row, selection));
+}
+
+// ==========================
+// EXPORTAR
+// ==========================
+function cellValues(row) {
+  return {
+    position: row.position,
+    list: row.list,
+    name: row.name,
+    creator: row.creator,
+    rank: row.rank,
+    tier: row.tier,
+    aredl: row.pos_aredl || '',
+    video: row.video_url,
+    id: row.id
+  };
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  rows.forEach(row => {
+    const cells = cellValues(row);
+    lines.push(EXPORT_COLUMNS.map(column => csvCell(cells[column])).join(','));
+  });
+  return `${BOM}${lines.join('\n')}\n`;
+}
+
+// Para colar direto numa planilha
+function toTsv(rows) {
+  const clean = value => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+  const lines = [EXPORT_COLUMNS.join('\t')];
+  rows.forEach(row => {
+    const cells = cellValues(row);
+    lines.push(EXPORT_COLUMNS.map(column => clean(cells[column])).join('\t'));
+  });
+  return `${BOM}${lines.join('\n')}\n`;
+}
+
+function externalListTitle(rank) {
+  const source = Object.values(SOURCES).find(s => s.rank === rank);
+  return source ? source.title : 'AREDL';
+}
+
+function markdownText(text) {
+  return String(text || '').replace(/([\\`*_[\]|<>~])/g, '\\$1');
+}
+
+// Uma seção por lista, um item por nível (funciona no GitHub e no Discord)
+function toMarkdown(rows) {
+  const sections = [];
+  LIST_NAMES.forEach(list => {
+    const items = rows.filter(row => row.list === list);
+    if (items.length === 0) return;
+    const lines = items.map(row => {
+      const details = [row.rank, row.tier ? `Tier ${row.tier}` : null, row.pos_aredl ? `${externalListTitle(row.rank)} #${row.pos_aredl}` : null]
+        .filter(Boolean)
+        .map(markdownText);
+      const video = row.video_url ? ` — <${row.video_url}>` : '';
+      const creator = row.creator ? ` by ${markdownText(row.creator)}` : '';
+      return `- **#${row.position}** ${markdownText(row.name)}${creator}${details.length ? ` · ${details.join(' · ')}` : ''}${video}`;
+    });
+    sections.push(`## ${LIST_TITLES[list]} List\n\n${lines.join('\n')}`);
+  });
+  return `${sections.join('\n\n')}\n`;
+}
+
+// "lista.md" -> "md"
+function fileFormat(file) {
+  return path.extname(file).slice(1).toLowerCase();
+}
+
+function formatExport(rows, format) {
+  if (format === 'csv') return toCsv(rows);
+  if (format === 'tsv') return toTsv(rows);
+  if (format === 'md') return toMarkdown(rows);
+  throw new LocalizedError('error.export_format', { format, formats: EXPORT_FORMATS.join(', ') });
+}
+
+// ==========================
+// IMPORTAR
+// ==========================
+// Conteúdo CSV/TSV -> [{ line, position?, name, creator?, ... }]
+function parseImport(content, format = 'csv') {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((text, i) => ({ text, line: i + 1 }))
+    .filter(l => l.text.trim());
+  if (lines.length === 0) throw new LocalizedError('error.import_empty_file');
+
+  const split = format === 'tsv' ? text => text.split('\t').map(c => c.trim()) : parseCsvLine;
+  const header = split(lines[0].text).map(h => h.toLowerCase());
+  const unknown = header.filter(h => !EXPORT_COLUMNS.includes(h));
+  if (unknown.length) throw new LocalizedError('error.import_unknown_columns', { columns: unknown.join(', '), allowed: EXPORT_COLUMNS.join(', ') });
+  if (!header.includes('name')) throw new LocalizedError('error.import_missing_name');
+
+  return lines.slice(1).map(({ text, line }) => {
+    const cells = split(text);
+    const row = { line, columns: header };
+    header.forEach((column, i) => { row[column] = cells[i] === undefined ? '' : cells[i]; });
+    if (!row.name) throw new LocalizedError('error.import_empty_name', { line });
+    if (row.position !== undefined && row.position !== '' && !/^\d+$/.test(row.position)) {
+      throw new LocalizedError('error.import_invalid_position', { line, value: row.position });
+    }
+    return row;
+  });
+}
+
+function readImportFile(file) {
+  if (!fs.existsSync(file)) throw new LocalizedError('error.file_not_found', { file });
+  const format = fileFormat(file);
+  if (format !== 'csv' && format !== 'tsv') throw new LocalizedError('error.import_format', { format });
+  return parseImport(fs.readFileSync(file, 'utf8'), format);
+}
+
+// Ordem do arquivo: pela coluna position; sem posição, logo abaixo da linha
+// de cima. Na mesma posição, quem subiu (ou é novo) fica antes de quem não
+// mudou, e quem desceu depois — "3" numa linha editada quer dizer #3.
+// currentPosition(row) = posição atual do nível da linha (null se novo)
+function targetOrder(rows, currentPosition) {
+  let key = 0;
+  return rows
+    .map((row, i) => {
+      if (row.position) key = parseInt(row.position, 10);
+      const current = currentPosition(row);
+      const tie = current === null || key < current ? 0 : key === current ? 1 : 2;
+      return { row, key, tie, i };
+    })
+    .sort((a, b) => a.key - b.key || a.tie - b.tie || a.i - b.i)
+    .map(item => item.row);
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Linha -> nível existente (id, ou nome + criador) ou null se é novo
+function matchRow(all, row) {
+  if (row.id) {
+    const level = all.find(l => l.id === row.id);
+    if (!level) throw new LocalizedError('error.import_unknown_id', { line: row.line, id: row.id });
+    return level;
+  }
+  const matches = all.filter(l => sameText(l.lvl_name, row.name) && (!row.columns.includes('creator') || sameText(l.lvl_creator, row.creator)));
+  if (matches.length > 1) throw new LocalizedError('error.import_ambiguous', { line: row.line, name: row.name, count: matches.length });
+  return matches[0] || null;
+}
+
+// Índices (em `values`) de uma maior subsequência crescente
+function increasingSubsequence(values) {
+  const tails = [];
+  const previous = [];
+  values.forEach((value, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) result.add(i);
+  return result;
+}
+
+// Campos do nível que diferem da linha (só das colunas presentes). As
+// células chegam sem espaços nas pontas, então a comparação também ignora
+function changedFields(level, row) {
+  const fields = {};
+  Object.keys(IMPORT_FIELDS).forEach(column => {
+    if (!row.columns.includes(column) || row[column] === '') return;
+    const field = IMPORT_FIELDS[column];
+    const value = field === 'pos_aredl' ? parseInt(row[column], 10) : row[column];
+    if (field === 'pos_aredl' && !Number.isInteger(value)) throw new LocalizedError('error.import_invalid_external_position', { line: row.line, value: row[column] });
+    const current = typeof level[field] === 'string' ? level[field].trim() : level[field];
+    if (value !== current) fields[field] = row[column];
+  });
+  return fields;
+}
+
+// Aplica o arquivo às posições de `selection` (as mesmas opções do export):
+// quem está na seleção e não aparece no arquivo é removido. Devolve as
+// operações do motor, já aplicadas a `lists` (nenhuma se o arquivo é igual
+// às listas, como no export seguido de import).
+function importRows(lists, rows, selection = {}) {
+  if (rows.length === 0) throw new LocalizedError('error.import_no_levels');
+
+  const all = flatten(lists);
+  const where = placements(lists);
+  const span = all.filter(level => inSelection(where.get(level), selection));
+
+  const matched = new Map();
+  rows.forEach(row => {
+    const level = matchRow(all, row);
+    if (!level) return;
+    if ([...matched.values()].includes(level)) throw new LocalizedError('error.import_duplicate', { line: row.line, name: level.lvl_name });
+    matched.set(row, level);
+  });
+  const imported = new Set(matched.values());
+  const order = targetOrder(rows, row => (matched.has(row) ? where.get(matched.get(row)).position : null));
+
+  // O arquivo entra logo abaixo do último nível antes da seleção que fica
+  // onde está
+  const firstIndex = span.length ? all.indexOf(span[0]) : selectionStart(all, selection);
+  const anchor = all.slice(0, firstIndex).filter(level => !imported.has(level)).pop() || null;
+
+  const operations = [];
+
+  span.filter(level => !imported.has(level)).forEach(level => {
+    operations.push(removeLevel(lists, { level: level.id }));
+  });
+
+  matched.forEach((level, row) => {
+    const fields = changedFields(level, row);
+    if (Object.keys(fields).length) operations.push(editLevel(lists, { level: level.id, fields }));
+  });
+
+  // Quem já está na seleção e na ordem certa fica parado; o resto é movido
+  // (ou adicionado) para logo abaixo do anterior no arquivo
+  const inSpan = order.filter(row => matched.has(row) && span.includes(matched.get(row)));
+  const positions = placements(lists);
+  const keep = increasingSubsequence(inSpan.map(row => positions.get(matched.get(row)).position));
+  const staying = new Set([...keep].map(i => matched.get(inSpan[i])));
+
+  let previous = anchor;
+  order.forEach(row => {
+    const level = matched.get(row);
+    const now = placements(lists);
+    const after = previous ? now.get(previous).position : 0;
+
+    if (!level) {
+      const target = after + 1;
+      const list = listForPosition(target);
+      const result = addLevel(lists, {
+        list,
+        name: row.name,
+        lvl_creator: row.creator,
+        video_url: row.video,
+        diff_rank: row.rank,
+        diff_scale: row.tier,
+        pos_aredl: row.aredl,
+        position: target - LIST_OFFSETS[list]
+      });
+      operations.push(result);
+      previous = flatten(lists).find(l => l.id === result.level_id);
+      return;
+    }
+
+    if (!staying.has(level)) {
+      const current = now.get(level).position;
+      const target = current <= after ? after : after + 1;
+      if (target !== current) operations.push(moveLevel(lists, { level: level.id, to: target }));
+    }
+    previous = level;
+  });
+
+  // O resultado tem que ser exatamente o arquivo
+  const final = flatten(lists);
+  const start = anchor ? final.indexOf(anchor) + 1 : 0;
+  const ids = final.slice(start, start + order.length).map(level => level.id);
+  const expected = order.map(row => (matched.get(row) || {}).id);
+  if (ids.some((id, i) => expected[i] !== undefined && id !== expected[i])) {
+    throw new LocalizedError('error.import_order_mismatch');
+  }
+
+  return operations;
+}
+
+// Índice (na ordem global) onde começaria uma seleção vazia
+function selectionStart(all, selection) {
+  const first = selection.list ? LIST_OFFSETS[selection.list] + 1 : 1;
+  const from = selection.range ? Math.max(first, selection.range.from) : first;
+  return Math.min(from - 1, all.length);
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseRange,
+  exportRows,
+  fileFormat,
+  formatExport,
+  parseImport,
+  readImportFile,
+  importRows
+};
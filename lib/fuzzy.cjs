@@ -0,0 +1,87 @@
+// ==========================
+// COMPARAÇÃO APROXIMADA DE NOMES
+// ==========================
+// Usado para avisar de níveis repetidos ao adicionar e pela busca
+// aproximada. Maiúsculas, acentos, pontuação e espaços não contam
+// ("Sonic Wave Infinity" = "sonic-wave infinity"), e sobra uma margem de
+// erros de digitação (distância de edição).
+
+// "Kenos (Fixed)" -> "kenos fixed"
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Quantos erros de digitação são tolerados num texto desse tamanho
+function allowedDistance(length) {
+  if (length < 4) return 0;
+  return Math.max(1, Math.floor(length / 5));
+}
+
+// Distância de edição (Levenshtein) entre dois textos
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Menor distância entre `query` e qualquer trecho de `text` ("blodbath"
+// acha "bloodbath 2"); começo e fim do trecho são livres
+function substringDistance(query, text) {
+  let previous = new Array(text.length + 1).fill(0);
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return Math.min(...previous);
+}
+
+// Mesmo nome, a menos de acentos, pontuação e erros de digitação
+function similarNames(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) return false;
+  return editDistance(x, y) <= allowedDistance(Math.min(x.length, y.length));
+}
+
+// Criadores parecidos; vazio conta como parecido (não dá para dizer que
+// não é o mesmo), e "Riot" bate com "Riot & more"
+function similarCreators(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) return true;
+  if (x.includes(y) || y.includes(x)) return true;
+  return editDistance(x, y) <= allowedDistance(Math.min(x.length, y.length));
+}
+
+// Distância da busca até o texto, ou null se longe demais
+function fuzzyDistance(query, text) {
+  const q = normalizeText(query);
+  const t = normalizeText(text);
+  if (!q || !t) return null;
+  const distance = substringDistance(q, t);
+  return distance <= allowedDistance(q.length) ? distance : null;
+}
+
+module.exports = {
+  normalizeText,
+  editDistance,
+  similarNames,
+  similarCreators,
+  fuzzyDistance
+};
@@ -0,0 +1,209 @@
+// ==========================
+// PUBLICAR NO GIT (commit + push)
+// ==========================
+// O git é chamado sem shell (spawnSync com a lista de argumentos), então
+// nomes de níveis com aspas, $ ou ; vão para a mensagem do commit como
+// estão. Só os arquivos que mudaram entram no commit, e nada mais do que
+// estiver no índice (git commit -- <arquivos>).
+//
+// Configuração opcional na seção "git" de lists.config.json:
+//
+//   "git": {
+//     "remote": "origin",          // para onde o push vai
+//     "branch": "main",            // branch do remote (padrão: a atual)
+//     "push": true,                // false = só commit local
+//     "templates": {               // mensagem por operação (ou "default")
+//       "default": "{message}",
+//       "add": "Lista: {summary}"
+//     }
+//   }
+//
+// Nos templates: {message} (a mensagem padrão inteira), {summary} (a
+// primeira linha dela), {operation}, {level}, {count} (passos de um lote)
+// e {date} (AAAA-MM-DD).
+//
+// Se o push falha (sem internet, credenciais...), o commit fica feito e vai
+// para a fila em .levels-push-queue.json (arquivo local, fora do git); o
+// próximo push bem-sucedido leva tudo junto, ou rode
+// `npm run levels -- push`. Com "push": false nada entra na fila: os
+// commits ficam só no repositório local. SIMULATE_GIT=1 só mostra os
+// comandos.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readListConfig } = require('./config.cjs');
+const { LocalizedError } = require('./i18n.cjs');
+
+const QUEUE_FILE = '.levels-push-queue.json';
+
+const DEFAULT_GIT_CONFIG = {
+  remote: 'origin',
+  branch: null,
+  push: true,
+  templates: { default: '{message}' }
+};
+
+class GitError extends LocalizedError {
+  constructor(key, params) {
+    super(key, params);
+    this.name = 'GitError';
+  }
+}
+
+function readGitConfig(rootDir) {
+  const config = readListConfig(rootDir).git || {};
+  const merged = {
+    ...DEFAULT_GIT_CONFIG,
+    ...config,
+    templates: { ...DEFAULT_GIT_CONFIG.templates, ...(config.templates || {}) }
+  };
+
+  if (typeof merged.remote !== 'string' || !merged.remote) throw new GitError('error.git_remote');
+  if (merged.branch !== null && (typeof merged.branch !== 'string' || !merged.branch)) throw new GitError('error.git_branch');
+  Object.entries(merged.templates).forEach(([key, template]) => {
+    if (typeof template !== 'string' || !template.trim()) throw new GitError('error.git_template', { key });
+  });
+  return merged;
+}
+
+// Roda o git e devolve o stdout; em erro, a mensagem traz a saída do git
+function runGit(rootDir, args) {
+  const result = spawnSync('git', args, { cwd: rootDir, encoding: 'utf8' });
+  if (result.error) throw new GitError('error.git_unavailable', { error: result.error.message });
+  if (result.status !== 0) {
+    const output = (result.stderr || result.stdout || '').trim();
+    throw new GitError('error.git_failed', { command: args[0], output: output ? `:\n${output}` : '' });
+  }
+  return result.stdout;
+}
+
+// Arquivos da lista com alguma mudança (inclusive novos e removidos)
+function changedFiles(rootDir, files) {
+  const output = runGit(rootDir, ['status', '--porcelain', '-z', '--untracked-files=all', '--', ...files]);
+  const tokens = output.split('\0').filter(Boolean);
+  const changed = [];
+  for (let i = 0; i < tokens.length; i++) {
+    changed.push(tokens[i].slice(3));
+    // Renomeação: o token seguinte é o nome antigo
+    if (/^[RC]/.test(tokens[i])) i++;
+  }
+  return changed;
+}
+
+// Template da operação com os campos preenchidos; campos desconhecidos
+// ficam como estão
+function formatCommitMessage(config, message, context = {}) {
+  const template = config.templates[context.operation] || config.templates.default;
+  const values = {
+    message,
+    summary: message.split('\n')[0],
+    operation: context.operation || '',
+    level: context.level || '',
+    count: context.count !== undefined ? String(context.count) : '',
+    date: new Date().toISOString().slice(0, 10)
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// ===== FILA DE PUSH =====
+function readQueue(rootDir) {
+  const file = path.join(rootDir, QUEUE_FILE);
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeQueue(rootDir, queue) {
+  const file = path.join(rootDir, QUEUE_FILE);
+  if (queue.length === 0) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    return;
+  }
+  fs.writeFileSync(file, JSON.stringify(queue, null, 2), 'utf8');
+}
+
+function pushArgs(rootDir, config) {
+  const branch = config.branch || runGit(rootDir, ['symbolic-ref', '--short', 'HEAD']).trim();
+  return ['push', config.remote, `HEAD:refs/heads/${branch}`];
+}
+
+// Push de tudo o que está na fila (e do commit novo, se houver)
+function pushQueue(rootDir, config) {
+  try {
+    runGit(rootDir, pushArgs(rootDir, config));
+  } catch (e) {
+    // Texto gravado na fila junto com os commits: fica em português, como
+    // os outros registros
+    return { pushed: false, error: e.message };
+  }
+  writeQueue(rootDir, []);
+  return { pushed: true };
+}
+
+// ===== PUBLICAR =====
+// Devolve { status, commit, files, error, pending }:
+//   pushed    = commit (se havia mudança) e push feitos, fila esvaziada
+//   committed = commit feito, push desligado na configuração
+//   queued    = push falhou; o commit novo (se houver) ficou na fila
+//   unchanged = nenhum dos arquivos mudou e não havia nada para enviar
+// pending = commits na fila depois da chamada.
+// Erros antes do push (fora de um repositório, commit recusado) viram GitError.
+function publish(rootDir, files, message, context = {}) {
+  const config = readGitConfig(rootDir);
+  const finalMessage = formatCommitMessage(config, message, context);
+
+  if (process.env.SIMULATE_GIT === '1') {
+    console.log(`[SIM] git add -- ${files.join(' ')}`);
+    console.log(`[SIM] git commit -m ${JSON.stringify(finalMessage)} -- ${files.join(' ')}`);
+    if (config.push) console.log(`[SIM] git push ${config.remote} HEAD:${config.branch || '<branch atual>'}`);
+    return { status: config.push ? 'pushed' : 'committed', commit: null, files, error: null, pending: 0 };
+  }
+
+  runGit(rootDir, ['rev-parse', '--is-inside-work-tree']);
+  const changed = changedFiles(rootDir, files);
+  let commit = null;
+  if (changed.length > 0) {
+    runGit(rootDir, ['add', '--', ...changed]);
+    runGit(rootDir, ['commit', '-m', finalMessage, '--', ...changed]);
+    commit = runGit(rootDir, ['rev-parse', 'HEAD']).trim();
+  }
+
+  const queue = readQueue(rootDir);
+  const result = { status: 'pushed', commit, files: changed, error: null, pending: 0 };
+  if (!config.push) return { ...result, status: commit ? 'committed' : 'unchanged', pending: queue.length };
+  if (!commit && queue.length === 0) return { ...result, status: 'unchanged' };
+
+  // O push leva o commit novo e os que estavam na fila
+  const pushed = pushQueue(rootDir, config);
+  if (pushed.pushed) return result;
+
+  if (commit) queue.push({ commit, subject: finalMessage.split('\n')[0], date: new Date().toISOString(), error: null });
+  queue.forEach(entry => { entry.error = pushed.error; });
+  writeQueue(rootDir, queue);
+  return { ...result, status: 'queued', error: pushed.error, pending: queue.length };
+}
+
+// Tenta de novo o push dos commits da fila
+// { status: 'pushed' | 'queued' | 'empty', commits, error }
+function retryPush(rootDir) {
+  const queue = readQueue(rootDir);
+  if (queue.length === 0) return { status: 'empty', commits: [], error: null };
+
+  runGit(rootDir, ['rev-parse', '--is-inside-work-tree']);
+  const pushed = pushQueue(rootDir, readGitConfig(rootDir));
+  if (pushed.pushed) return { status: 'pushed', commits: queue, error: null };
+
+  queue.forEach(entry => { entry.error = pushed.error; });
+  writeQueue(rootDir, queue);
+  return { status: 'queued', commits: queue, error: pushed.error };
+}
+
+module.exports = {
+  QUEUE_FILE,
+  GitError,
+  readGitConfig,
+  formatCommitMessage,
+  readQueue,
+  publish,
+  retryPush
+};
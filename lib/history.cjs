@@ -0,0 +1,213 @@
+// ==========================
+// HISTÓRICO DE POSIÇÕES (pos_history)
+// ==========================
+// Cada entrada é um evento estruturado:
+//
+//   { type: 'added',    date, to, below?, above? }
+//   { type: 'moved',    date, from, to, delta, below?, above?, from_list?, to_list? }
+//   { type: 'pushed',   date, level, level_id?, cause: 'added'|'moved', delta, note?, direction? }
+//   { type: 'promoted', date, from, to, from_list, to_list }
+//   { type: 'demoted',  date, from, to, from_list, to_list }
+//   { type: 'renamed',  date, old_name, new_name }
+//   { type: 'note',     date, text }
+//
+// date é AAAA-MM-DD (ou '' quando o texto antigo não tinha data); o site
+// formata no idioma de quem lê. Dados com datas "dd/mm/yy" são convertidos
+// por `npm run migrate:history`.
+//
+// Posições são globais. delta > 0 = subiu na lista, delta < 0 = caiu.
+// below/above = nível logo acima/abaixo ("below Bloodbath and above Acu").
+// level, below e above são nomes da época; level_id, below_id e above_id
+// apontam para o nível (lib/ids.cjs), e com eles o texto sai com o nome atual.
+// direction ('up'|'down') só existe nos textos antigos "X was moved up/down
+// past this demon", para o site continuar mostrando a mesma frase.
+// O texto exibido no site é gerado por formatEvent(), em inglês ou
+// português (lib/i18n.cjs).
+
+const { SITE_LANGUAGE, formatDate, translate } = require('./i18n.cjs');
+
+const EVENT_TYPES = ['added', 'moved', 'pushed', 'promoted', 'demoted', 'renamed', 'note'];
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function listTitle(list) {
+  const name = String(list || '');
+  return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+}
+
+// Nome atual de um nível citado no evento; `names` = Map id -> nome
+function refName(names, id, name) {
+  return (names && id && names.get(id)) || name;
+}
+
+function neighboursText(event, names, lang) {
+  const parts = [];
+  if (event.below) parts.push(translate(lang, 'history.below', { name: refName(names, event.below_id, event.below) }));
+  if (event.above) parts.push(translate(lang, 'history.above', { name: refName(names, event.above_id, event.above) }));
+  return parts.length ? `, ${parts.join(translate(lang, 'history.and'))}` : '';
+}
+
+// "31/07/26" ou "31/07/2026" -> "2026-07-31" (datas já em ISO passam
+// direto); data que não existe ("30/02/26") -> null
+function toIsoDate(date) {
+  const value = String(date || '').trim();
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/) || value.match(/^(\d{2})\/(\d{2})\/(\d{2}|\d{4})$/);
+  if (!m) return null;
+  const iso = m[1].length === 4
+    ? `${m[1]}-${m[2]}-${m[3]}`
+    : `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${m[2]}-${m[1]}`;
+  const parsed = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Texto de um evento, sem a data, no idioma `lang` (lib/i18n.cjs);
+// `names` (opcional) = Map id -> nome atual
+function describeEvent(event, names, lang = SITE_LANGUAGE) {
+  const t = (key, params) => translate(lang, key, params);
+  switch (event.type) {
+    case 'added':
+      return t('history.added', { to: event.to, neighbours: neighboursText(event, names, lang) });
+    case 'moved':
+      return t('history.moved', {
+        to: event.to,
+        delta: signed(event.delta),
+        neighbours: neighboursText(event, names, lang),
+        list: event.to_list ? t('history.moved_list', { list: listTitle(event.to_list) }) : ''
+      });
+    case 'pushed': {
+      const direction = event.direction || (event.delta < 0 ? 'above' : 'below');
+      return t(`history.pushed_${event.cause}_${direction}`, {
+        level: refName(names, event.level_id, event.level),
+        note: event.note ? ` (${event.note})` : '',
+        delta: signed(event.delta)
+      });
+    }
+    case 'promoted':
+    case 'demoted':
+      return t(`history.${event.type}`, { to: event.to, from: event.from, to_list: listTitle(event.to_list), from_list: listTitle(event.from_list) });
+    case 'renamed':
+      return t('history.renamed', { old_name: event.old_name, new_name: event.new_name });
+    default:
+      return event.text || '';
+  }
+}
+
+// Linha completa "Jul 31, 2026 - ..." com a data no formato do idioma;
+// aceita também entradas antigas ({ log1 }, datas "dd/mm/yy")
+function formatEvent(entry, names, lang = SITE_LANGUAGE) {
+  if (typeof entry === 'string') return entry;
+  if (!entry || typeof entry !== 'object') return translate(lang, 'history.unknown');
+  if (typeof entry.log1 === 'string') return entry.log1;
+
+  const text = describeEvent(entry, names, lang);
+  return entry.date ? `${formatDate(toIsoDate(entry.date) || entry.date, lang)} - ${text}` : text;
+}
+
+function isValidEvent(event) {
+  if (!event || typeof event !== 'object' || !EVENT_TYPES.includes(event.type)) return false;
+  if (typeof event.date !== 'string' || (event.date !== '' && toIsoDate(event.date) !== event.date)) return false;
+
+  switch (event.type) {
+    case 'added':
+      return Number.isInteger(event.to);
+    case 'moved':
+      return Number.isInteger(event.to) && Number.isInteger(event.delta);
+    case 'pushed':
+      return typeof event.level === 'string' && ['added', 'moved'].includes(event.cause) && Number.isInteger(event.delta) &&
+        (event.direction === undefined || (event.cause === 'moved' && ['up', 'down'].includes(event.direction)));
+    case 'promoted':
+    case 'demoted':
+      return Number.isInteger(event.to) && typeof event.from_list === 'string' && typeof event.to_list === 'string';
+    case 'renamed':
+      return typeof event.old_name === 'string' && typeof event.new_name === 'string';
+    default:
+      return typeof event.text === 'string';
+  }
+}
+
+// ==========================
+// MIGRAÇÃO DOS TEXTOS ANTIGOS (log1)
+// ==========================
+function parseNeighbours(text, event) {
+  if (!text) return event;
+  const both = text.match(/^below (.+) and above (.+)$/);
+  if (both) return { ...event, below: both[1].trim(), above: both[2].trim() };
+  const below = text.match(/^below (.+)$/);
+  if (below) return { ...event, below: below[1].trim() };
+  const above = text.match(/^above (.+)$/);
+  if (above) return { ...event, above: above[1].trim() };
+  return null;
+}
+
+// "31/07/26 - The Yandere was added above (-1)" -> evento com a data em
+// ISO; texto não reconhecido vira { type: 'note' } para não perder nada
+function parseLog(log) {
+  const line = String(log).trim();
+  const dated = line.match(/^(\d{2}\/\d{2}\/\d{2})\s*-\s*(.*)$/);
+  const date = (dated && toIsoDate(dated[1])) || '';
+  const text = dated ? dated[2].trim() : line;
+
+  let m = text.match(/^Added to the (?:list|main list) at position (\d+)(?:, (.+))?$/i);
+  if (m) {
+    const event = parseNeighbours(m[2], { type: 'added', date, to: parseInt(m[1], 10) });
+    if (event) return event;
+  }
+
+  m = text.match(/^Moved to position (\d+) \(([+-]\d+)\)(?:, (.+))?$/);
+  if (m) {
+    const to = parseInt(m[1], 10);
+    const delta = parseInt(m[2], 10);
+    const event = parseNeighbours(m[3], { type: 'moved', date, from: to + delta, to, delta });
+    if (event) return event;
+  }
+
+  // "X was added above (-1)", "X was moved up past this demon (-1)",
+  // "X was added adove (Fell out of the top 5) (-1)"
+  m = text.match(/^(.+?)\s+was (added|moved) (above|adove|below|up past this demon|down past this demon)\s*(?:\(([^()]*)\)\s*)?\(([+-]\d+)\)$/);
+  if (m) {
+    const event = { type: 'pushed', date, level: m[1].trim(), cause: m[2], delta: parseInt(m[5], 10) };
+    if (m[4]) event.note = m[4].trim();
+    const past = m[3].match(/^(up|down) past this demon$/);
+    if (past) event.direction = past[1];
+    return event;
+  }
+
+  m = text.match(/^(Promoted|Demoted) to (\w+) List at position (\d+) \(was (\w+) #(\d+)\)$/);
+  if (m) {
+    return {
+      type: m[1].toLowerCase(),
+      date,
+      from: parseInt(m[5], 10),
+      to: parseInt(m[3], 10),
+      from_list: m[4].toLowerCase(),
+      to_list: m[2].toLowerCase()
+    };
+  }
+
+  return { type: 'note', date, text };
+}
+
+// Converte uma entrada qualquer (string, { log1 } ou evento, inclusive com
+// data "dd/mm/yy") em evento
+function toEvent(entry) {
+  if (isValidEvent(entry)) return entry;
+  if (entry && typeof entry === 'object' && toIsoDate(entry.date)) {
+    const event = { ...entry, date: toIsoDate(entry.date) };
+    if (isValidEvent(event)) return event;
+  }
+  if (typeof entry === 'string') return parseLog(entry);
+  if (entry && typeof entry.log1 === 'string') return parseLog(entry.log1);
+  return { type: 'note', date: '', text: String(entry && typeof entry === 'object' ? JSON.stringify(entry) : entry) };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  describeEvent,
+  formatEvent,
+  isValidEvent,
+  parseLog,
+  toEvent,
+  toIsoDate
+};
@@ -0,0 +1,97 @@
+// ==========================
+// IDIOMAS (pt-BR e inglês)
+// ==========================
+// Todos os textos do site, do gerenciador e das descrições de alterações e
+// do histórico ficam nos catálogos de locales/ (en.json, pt.json), com
+// chaves como "history.added" e campos entre chaves:
+//
+//   "cli.add.done": "Nível \"{name}\" adicionado na posição {position} ({list})!"
+//
+// O site sai em inglês (?lang=pt troca); o gerenciador, os registros
+// (changes.json, CHANGELOG.md, README) e as mensagens de commit em
+// português (--lang en ou LEVELS_LANG=en troca só o que aparece no
+// terminal). Chave sem tradução cai no inglês e, sem nenhum dos dois, na
+// própria chave.
+//
+// Erros do lib/ são LocalizedError (chave + campos, como os textos): a
+// mensagem sai em português e quem mostra o erro (terminal, site) usa
+// errorMessage para o idioma escolhido.
+//
+// Datas são gravadas em ISO (AAAA-MM-DD) e formatadas só na hora de mostrar
+// (formatDate): "Jul 31, 2026" em inglês, "31/07/2026" em português.
+
+const CATALOGUES = {
+  en: require('../locales/en.json'),
+  pt: require('../locales/pt.json')
+};
+
+const LANGUAGES = Object.keys(CATALOGUES);
+const SITE_LANGUAGE = 'en';
+const MANAGER_LANGUAGE = 'pt';
+
+// Locale e estilo do Intl.DateTimeFormat de cada idioma
+const DATE_FORMATS = {
+  en: { locale: 'en-US', style: 'medium' },
+  pt: { locale: 'pt-BR', style: 'short' }
+};
+
+// "pt", "pt-BR", "pt_br", "EN-us" -> "pt" / "en"; desconhecido -> null
+function normalizeLanguage(value) {
+  const base = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(base) ? base : null;
+}
+
+function translate(lang, key, params = {}) {
+  const catalogue = CATALOGUES[lang] || CATALOGUES[SITE_LANGUAGE];
+  const text = key in catalogue ? catalogue[key] : key in CATALOGUES.en ? CATALOGUES.en[key] : key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
+// t('cli.cancelled') já no idioma escolhido
+function translator(lang) {
+  return (key, params) => translate(lang, key, params);
+}
+
+class LocalizedError extends Error {
+  constructor(key, params = {}) {
+    super(translate(MANAGER_LANGUAGE, key, params));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// Mensagem do erro no idioma pedido; erros sem chave (do Node, do git)
+// saem como estão
+function errorMessage(error, lang) {
+  if (error && error.key) return translate(lang, error.key, error.params);
+  return error && error.message !== undefined ? error.message : String(error);
+}
+
+// "2026-07-31" -> "Jul 31, 2026" / "31/07/2026"; o que não é data ISO sai
+// como está
+function formatDate(date, lang) {
+  const value = String(date || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const { locale, style } = DATE_FORMATS[lang] || DATE_FORMATS[SITE_LANGUAGE];
+  return new Intl.DateTimeFormat(locale, { dateStyle: style, timeZone: 'UTC' }).format(new Date(`${value}T00:00:00Z`));
+}
+
+// Resposta "sim" nas perguntas do terminal (s/n ou y/n)
+function isYes(answer) {
+  return ['s', 'sim', 'y', 'yes'].includes(String(answer || '').trim().toLowerCase());
+}
+
+module.exports = {
+  LANGUAGES,
+  SITE_LANGUAGE,
+  MANAGER_LANGUAGE,
+  DATE_FORMATS,
+  formatDate,
+  normalizeLanguage,
+  translate,
+  translator,
+  LocalizedError,
+  errorMessage,
+  isYes
+};
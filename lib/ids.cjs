@@ -0,0 +1,84 @@
+// ==========================
+// IDS DOS NÍVEIS
+// ==========================
+// Cada nível tem um "id" fixo (8 caracteres hexadecimais, nunca só
+// dígitos, para não parecer uma posição). O nome pode mudar e pode se
+// repetir; o id não. O histórico dos outros níveis aponta para o id
+// (level_id, below_id, above_id) e guarda o nome da época só como reserva,
+// para níveis que já foram removidos.
+
+const crypto = require('crypto');
+
+// Novo id que não está em `taken` (Set)
+function createLevelId(taken) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (taken.has(id) || /^\d+$/.test(id));
+  taken.add(id);
+  return id;
+}
+
+function allLevels(lists) {
+  return Object.values(lists).flat();
+}
+
+function takenIds(lists) {
+  return new Set(allLevels(lists).map(level => level.id).filter(Boolean));
+}
+
+// Dá um id a quem não tem, com o id como primeiro campo; devolve quantos
+function assignIds(lists) {
+  const taken = takenIds(lists);
+  let assigned = 0;
+  Object.keys(lists).forEach(list => {
+    lists[list] = lists[list].map(level => {
+      if (level.id) return level;
+      assigned++;
+      return { id: createLevelId(taken), ...level };
+    });
+  });
+  return assigned;
+}
+
+// Eventos antigos só têm nomes: liga cada referência ao id do nível com
+// esse nome. Nomes repetidos (ou de níveis removidos) ficam sem id.
+// Devolve { linked, unresolved: [nomes] }
+function linkHistory(lists) {
+  const byName = new Map();
+  allLevels(lists).forEach(level => {
+    const key = String(level.lvl_name).toLowerCase();
+    byName.set(key, byName.has(key) ? null : level.id);
+  });
+
+  let linked = 0;
+  const unresolved = new Set();
+  const link = (event, nameField, idField) => {
+    if (typeof event[nameField] !== 'string' || event[idField]) return;
+    const id = byName.get(event[nameField].toLowerCase());
+    if (id) {
+      event[idField] = id;
+      linked++;
+    } else {
+      unresolved.add(event[nameField]);
+    }
+  };
+
+  allLevels(lists).forEach(level => {
+    if (!Array.isArray(level.pos_history)) return;
+    level.pos_history.forEach(event => {
+      if (event.type === 'pushed') link(event, 'level', 'level_id');
+      link(event, 'below', 'below_id');
+      link(event, 'above', 'above_id');
+    });
+  });
+
+  return { linked, unresolved: [...unresolved] };
+}
+
+module.exports = {
+  createLevelId,
+  takenIds,
+  assignIds,
+  linkHistory
+};
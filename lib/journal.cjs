@@ -0,0 +1,267 @@
+// ==========================
+// DIÁRIO DE OPERAÇÕES (desfazer / refazer)
+// ==========================
+// Cada operação salva pelo gerenciador vira uma entrada em
+// .levels-journal.json (arquivo local, fora do git) com a diferença entre
+// as listas antes e depois. Desfazer aplica a diferença ao contrário —
+// inclusive cascatas e eventos adicionados ao pos_history de outros níveis.
+//
+//   { position, entries: [{ id, date, operation, summary, event, level, level_id, patch }] }
+//
+// event é o mesmo de changes.json (lib/changes.cjs), para o texto sair em
+// qualquer idioma.
+//
+// entries[0..position) estão aplicadas; o resto pode ser refeito. Uma nova
+// operação descarta o que estava desfeito.
+//
+// O patch guarda a mudança na ordem das listas (pelo id do nível) e, para cada
+// nível alterado, só os campos que mudaram; em arrays (pos_history) só o
+// trecho entre o prefixo e o sufixo em comum. Antes de aplicar, o estado
+// atual é conferido: se os arquivos mudaram por fora, nada é feito.
+
+const fs = require('fs');
+const path = require('path');
+const { LIST_NAMES, levelKey } = require('./engine.cjs');
+const { LocalizedError } = require('./i18n.cjs');
+
+const JOURNAL_FILE = '.levels-journal.json';
+const JOURNAL_MAX = 50;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// ==========================
+// DIFF DE VALORES
+// ==========================
+// undefined = iguais. Chave ausente = valor undefined (some do JSON).
+function diffValue(a, b) {
+  if (isEqual(a, b)) return undefined;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    let start = 0;
+    while (start < a.length && start < b.length && isEqual(a[start], b[start])) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && isEqual(a[a.length - 1 - end], b[b.length - 1 - end])) end++;
+    return { array: { start, end, before: a.slice(start, a.length - end), after: b.slice(start, b.length - end) } };
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const fields = {};
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+      const diff = diffValue(a[key], b[key]);
+      if (diff !== undefined) fields[key] = diff;
+    });
+    return { fields };
+  }
+
+  return { value: { before: a, after: b } };
+}
+
+function conflict() {
+  return new LocalizedError('error.journal_conflict');
+}
+
+// Aplica um diff no sentido from -> to ('before' -> 'after' ou o contrário)
+function patchValue(current, diff, from, to) {
+  if (diff.value) {
+    if (!isEqual(current, diff.value[from])) throw conflict();
+    return clone(diff.value[to]);
+  }
+
+  if (diff.array) {
+    const { start, end } = diff.array;
+    const expected = diff.array[from];
+    if (!Array.isArray(current) || current.length !== start + expected.length + end) throw conflict();
+    if (!isEqual(current.slice(start, current.length - end), expected)) throw conflict();
+    return [...current.slice(0, start), ...clone(diff.array[to]), ...current.slice(current.length - end)];
+  }
+
+  if (!isPlainObject(current)) throw conflict();
+  const result = { ...current };
+  Object.keys(diff.fields).forEach(key => {
+    const value = patchValue(current[key], diff.fields[key], from, to);
+    if (value === undefined) delete result[key];
+    else result[key] = value;
+  });
+  return result;
+}
+
+// ==========================
+// DIFF DAS LISTAS
+// ==========================
+// Map chave (id, ver levelKey) -> nível em todas as listas; null se há
+// chaves repetidas
+function keyedLevels(lists) {
+  const map = new Map();
+  for (const list of LIST_NAMES) {
+    for (const level of lists[list]) {
+      const key = levelKey(level);
+      if (map.has(key)) return null;
+      map.set(key, level);
+    }
+  }
+  return map;
+}
+
+function diffLists(before, after) {
+  const beforeLevels = keyedLevels(before);
+  const afterLevels = keyedLevels(after);
+
+  // Chaves repetidas (níveis sem id com nome + criador iguais): guarda as listas inteiras
+  if (!beforeLevels || !afterLevels) {
+    return isEqual(before, after) ? null : { full: { before: clone(before), after: clone(after) } };
+  }
+
+  const order = {};
+  LIST_NAMES.forEach(list => {
+    const diff = diffValue(before[list].map(levelKey), after[list].map(levelKey));
+    if (diff !== undefined) order[list] = diff;
+  });
+
+  const levels = {};
+  new Set([...beforeLevels.keys(), ...afterLevels.keys()]).forEach(key => {
+    const diff = diffValue(beforeLevels.get(key), afterLevels.get(key));
+    if (diff !== undefined) levels[key] = diff;
+  });
+
+  if (Object.keys(order).length === 0 && Object.keys(levels).length === 0) return null;
+  return { order, levels };
+}
+
+function patchLists(lists, patch, from, to) {
+  if (patch.full) {
+    if (!isEqual(lists, patch.full[from])) throw conflict();
+    return clone(patch.full[to]);
+  }
+
+  const levels = keyedLevels(lists);
+  if (!levels) throw conflict();
+
+  Object.keys(patch.levels).forEach(key => {
+    const level = patchValue(levels.get(key), patch.levels[key], from, to);
+    if (level === undefined) levels.delete(key);
+    else levels.set(key, level);
+  });
+
+  const result = {};
+  LIST_NAMES.forEach(list => {
+    const current = lists[list].map(levelKey);
+    const keys = patch.order[list] ? patchValue(current, patch.order[list], from, to) : current;
+    result[list] = keys.map(key => {
+      if (!levels.has(key)) throw conflict();
+      return levels.get(key);
+    });
+  });
+  return result;
+}
+
+// ==========================
+// ARQUIVO DO DIÁRIO
+// ==========================
+function readJournal(rootDir) {
+  const file = path.join(rootDir, JOURNAL_FILE);
+  if (!fs.existsSync(file)) return { position: 0, entries: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJournal(rootDir, journal) {
+  fs.writeFileSync(path.join(rootDir, JOURNAL_FILE), JSON.stringify(journal), 'utf8');
+}
+
+// Registra before -> after; null se nada mudou
+function recordJournal(rootDir, before, after, info) {
+  const patch = diffLists(before, after);
+  if (!patch) return null;
+
+  const journal = readJournal(rootDir);
+  const lastId = journal.entries.reduce((max, e) => Math.max(max, e.id), 0);
+  const entry = {
+    id: lastId + 1,
+    date: new Date().toISOString(),
+    operation: info.operation,
+    summary: info.summary,
+    event: info.event || null,
+    level: info.level || null,
+    level_id: info.level_id || null,
+    patch
+  };
+
+  const entries = journal.entries.slice(0, journal.position).concat(entry).slice(-JOURNAL_MAX);
+  writeJournal(rootDir, { position: entries.length, entries });
+  return entry;
+}
+
+// Próxima entrada a desfazer e as listas como ficam (nada é gravado;
+// depois de salvar as listas, chame markUndone). null = nada a desfazer.
+function planUndo(rootDir, lists) {
+  const journal = readJournal(rootDir);
+  if (journal.position === 0) return null;
+  const entry = journal.entries[journal.position - 1];
+  return { entry, lists: patchLists(lists, entry.patch, 'after', 'before') };
+}
+
+function planRedo(rootDir, lists) {
+  const journal = readJournal(rootDir);
+  if (journal.position >= journal.entries.length) return null;
+  const entry = journal.entries[journal.position];
+  return { entry, lists: patchLists(lists, entry.patch, 'before', 'after') };
+}
+
+function markUndone(rootDir, entry) {
+  const journal = readJournal(rootDir);
+  if (journal.entries[journal.position - 1].id !== entry.id) throw conflict();
+  journal.position -= 1;
+  writeJournal(rootDir, journal);
+}
+
+function markRedone(rootDir, entry) {
+  const journal = readJournal(rootDir);
+  if (journal.entries[journal.position].id !== entry.id) throw conflict();
+  journal.position += 1;
+  writeJournal(rootDir, journal);
+}
+
+// Mais recentes primeiro; undone = desfeita (pode ser refeita)
+function journalHistory(rootDir) {
+  const journal = readJournal(rootDir);
+  return journal.entries
+    .map((entry, index) => ({
+      id: entry.id,
+      date: entry.date,
+      operation: entry.operation,
+      summary: entry.summary,
+      event: entry.event || null,
+      level: entry.level,
+      undone: index >= journal.position
+    }))
+    .reverse();
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  diffLists,
+  patchLists,
+  recordJournal,
+  planUndo,
+  planRedo,
+  markUndone,
+  markRedone,
+  journalHistory
+};
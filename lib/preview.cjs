@@ -0,0 +1,79 @@
+// ==========================
+// PRÉVIA DE UMA OPERAÇÃO (dry-run)
+// ==========================
+// Compara as listas antes e depois (ainda não salvas) e diz o que muda:
+// posições globais, quem cruza as fronteiras Main/Extended/Legacy e quais
+// eventos entram no pos_history de cada nível. O texto sai no idioma pedido
+// (lib/i18n.cjs): o do site no JSON do dry-run, o do terminal no menu.
+
+const { formatEvent } = require('./history.cjs');
+const { SITE_LANGUAGE, MANAGER_LANGUAGE, translate } = require('./i18n.cjs');
+const { placements, levelKey, levelNames } = require('./engine.cjs');
+
+// Posições do motor (placements, lib/engine.cjs) pela chave do nível: antes
+// e depois são cópias diferentes das listas, então o objeto não serve de chave
+function placementsByKey(lists) {
+  const map = new Map();
+  placements(lists).forEach(({ list, position }, level) => map.set(levelKey(level), { level, list, position }));
+  return map;
+}
+
+function previewLists(before, after, lang = SITE_LANGUAGE) {
+  const old = placementsByKey(before);
+  const now = placementsByKey(after);
+
+  const positions = [];
+  new Set([...old.keys(), ...now.keys()]).forEach(key => {
+    const from = old.get(key);
+    const to = now.get(key);
+    if (from && to && from.position === to.position && from.list === to.list) return;
+    positions.push({
+      level: (to || from).level.lvl_name,
+      from: from ? from.position : null,
+      from_list: from ? from.list : null,
+      to: to ? to.position : null,
+      to_list: to ? to.list : null
+    });
+  });
+  positions.sort((a, b) => (a.to || a.from) - (b.to || b.from));
+
+  const crossings = positions.filter(p => p.from_list && p.to_list && p.from_list !== p.to_list);
+
+  const history = [];
+  const names = levelNames(after);
+  now.forEach(({ level }, key) => {
+    const previous = old.get(key);
+    const oldEvents = previous && Array.isArray(previous.level.pos_history) ? previous.level.pos_history.length : 0;
+    const events = Array.isArray(level.pos_history) ? level.pos_history.slice(oldEvents) : [];
+    events.forEach(event => history.push({ level: level.lvl_name, event, text: formatEvent(event, names, lang) }));
+  });
+
+  return { positions, crossings, history };
+}
+
+function placeText(position, list) {
+  return position === null ? '—' : `#${position} (${list.toUpperCase()})`;
+}
+
+// Linhas para o terminal; limit = máximo de linhas por seção
+function formatPreview(preview, limit = 20, lang = MANAGER_LANGUAGE) {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push(`${title}`);
+    items.slice(0, limit).forEach(item => lines.push(`  ${format(item)}`));
+    if (items.length > limit) lines.push(`  ${t('preview.more', { count: items.length - limit })}`);
+  };
+
+  section(t('preview.positions'), preview.positions, p => `${p.level}: ${placeText(p.from, p.from_list)} → ${placeText(p.to, p.to_list)}`);
+  section(t('preview.crossings'), preview.crossings, p => `${p.level}: ${p.from_list.toUpperCase()} → ${p.to_list.toUpperCase()}`);
+  section(t('preview.history'), preview.history, h => `${h.level}: ${h.text}`);
+  if (lines.length === 0) lines.push(t('preview.none'));
+  return lines;
+}
+
+module.exports = {
+  previewLists,
+  formatPreview
+};
@@ -0,0 +1,141 @@
+// ==========================
+// SNAPSHOTS (a lista em qualquer data)
+// ==========================
+// Cada save do gerenciador grava snapshots/AAAA-MM-DD.json com as três
+// listas daquele dia (sem pos_history). Para datas anteriores ao primeiro
+// snapshot, as listas são reconstruídas a partir do histórico de posições.
+
+const fs = require('fs');
+const path = require('path');
+const { toIsoDate } = require('./history.cjs');
+const { LIST_NAMES, partition, nowDate } = require('./engine.cjs');
+
+const SNAPSHOT_DIR = 'snapshots';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2024-02-30" não passa
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(String(date))) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function snapshotPath(date = nowDate()) {
+  return path.join(SNAPSHOT_DIR, `${date}.json`);
+}
+
+// Um nível por linha, para diffs legíveis no git
+function serializeSnapshot(snapshot) {
+  const lists = LIST_NAMES.map(list => {
+    const rows = snapshot[list].map(level => `    ${JSON.stringify(level)}`);
+    return `  "${list}": [\n${rows.join(',\n')}\n  ]`;
+  });
+  return `{\n  "date": ${JSON.stringify(snapshot.date)},\n${lists.join(',\n')}\n}\n`;
+}
+
+function writeSnapshot(rootDir, lists, date = nowDate()) {
+  const snapshot = { date };
+  LIST_NAMES.forEach(list => {
+    snapshot[list] = lists[list].map(({ pos_history, ...level }) => level);
+  });
+
+  const dir = path.join(rootDir, SNAPSHOT_DIR);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(rootDir, snapshotPath(date)), serializeSnapshot(snapshot), 'utf8');
+  return snapshotPath(date);
+}
+
+function listSnapshotDates(rootDir) {
+  const dir = path.join(rootDir, SNAPSHOT_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(isValidDate)
+    .sort();
+}
+
+// Data do snapshot mais recente até a data (inclusive), ou null
+function snapshotDateFor(rootDir, date) {
+  const dates = listSnapshotDates(rootDir).filter(d => d <= date);
+  return dates.length ? dates[dates.length - 1] : null;
+}
+
+// Snapshot mais recente até a data (inclusive)
+function readSnapshot(rootDir, date) {
+  const snapshotDate = snapshotDateFor(rootDir, date);
+  if (!snapshotDate) return null;
+
+  const data = JSON.parse(fs.readFileSync(path.join(rootDir, snapshotPath(snapshotDate)), 'utf8'));
+  return {
+    date,
+    snapshot_date: snapshotDate,
+    source: 'snapshot',
+    // Snapshots de antes de uma repartição têm outra divisão: o que vale é
+    // a ordem global, redividida com os tamanhos atuais
+    lists: partition(Object.keys(data).filter(key => key !== 'date').flatMap(key => data[key]))
+  };
+}
+
+// Posição global de um nível na data: parte da posição atual e desfaz,
+// do mais recente para o mais antigo, os eventos posteriores à data.
+// null = o nível ainda não estava na lista (sem evento "added" até a data).
+function positionAt(level, currentPosition, date) {
+  const added = level.pos_history.some(e => e && e.type === 'added' && toIsoDate(e.date) && toIsoDate(e.date) <= date);
+  if (!added) return null;
+
+  const later = level.pos_history.filter(e => e && toIsoDate(e.date) > date);
+
+  let position = currentPosition;
+  for (let i = later.length - 1; i >= 0; i--) {
+    const event = later[i];
+    if (event.type === 'added') return null;
+    if (event.type === 'pushed') position += event.delta;
+    else if (Number.isInteger(event.from)) position = event.from;
+  }
+  return position;
+}
+
+// Reconstrução aproximada: só conhece níveis cujo histórico tem o "added",
+// e remoções não deixam rastro no histórico dos outros níveis. null se
+// nenhum nível já estava na lista na data.
+function replayHistory(lists, date) {
+  const placed = [];
+  let offset = 0;
+  LIST_NAMES.forEach(list => {
+    lists[list].forEach((level, index) => {
+      if (!Array.isArray(level.pos_history) || level.pos_history.length === 0) return;
+      const position = positionAt(level, offset + index + 1, date);
+      if (position !== null) placed.push({ level, position, order: placed.length });
+    });
+    offset += lists[list].length;
+  });
+  if (placed.length === 0) return null;
+
+  placed.sort((a, b) => a.position - b.position || a.order - b.order);
+  const ordered = placed.map(p => p.level);
+
+  return {
+    date,
+    snapshot_date: null,
+    source: 'history',
+    lists: partition(ordered)
+  };
+}
+
+// As três listas como estavam na data; null se não há dados
+function listsAsOf(rootDir, currentLists, date) {
+  return readSnapshot(rootDir, date) || replayHistory(currentLists, date);
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  isValidDate,
+  snapshotPath,
+  writeSnapshot,
+  listSnapshotDates,
+  snapshotDateFor,
+  readSnapshot,
+  replayHistory,
+  listsAsOf
+};
@@ -0,0 +1,192 @@
+// ==========================
+// SINCRONIZAR POSIÇÕES EXTERNAS (AREDL / IDL / HDL)
+// ==========================
+// Lê um export de uma lista externa baixado para o disco (nada é buscado
+// na internet) e atualiza o pos_aredl dos níveis com o rank daquela lista
+// (Extreme -> AREDL, Insane -> IDL, Hard -> HDL):
+//
+//   npm run levels -- sync aredl.json --source aredl
+//
+// O arquivo é uma lista (ou { "levels": [...] } / { "data": [...] }) de
+// níveis com a posição e o nome; criador e id do nível no Geometry Dash
+// são opcionais. Os nomes de campo dos exports mais comuns são aceitos:
+//
+//   [{ "position": 1, "name": "Thinking Space II", "level_id": 86407629,
+//      "publisher": { "name": "CairoX" } }, ...]
+//
+// Cada nível nosso é encontrado pelo gd_id, depois por nome + criador e,
+// se o export não tem criador, só pelo nome (quando não se repete). O
+// gd_id que vier do export fica gravado no nível para as próximas vezes.
+
+const fs = require('fs');
+const path = require('path');
+const { flatten, placements } = require('./engine.cjs');
+const { describeChange } = require('./changes.cjs');
+const { MANAGER_LANGUAGE, LocalizedError, translate } = require('./i18n.cjs');
+
+const SOURCES = {
+  aredl: { title: 'AREDL', rank: 'Extreme Demon' },
+  idl: { title: 'IDL', rank: 'Insane Demon' },
+  hdl: { title: 'HDL', rank: 'Hard Demon' }
+};
+
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function positiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// "CairoX", { name }, { global_name }, [{ name }, ...] -> "CairoX" ou null
+function creatorName(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (Array.isArray(value)) return value.length ? creatorName(value[0]) : null;
+  if (value && typeof value === 'object') return creatorName(value.name || value.global_name || value.username);
+  return null;
+}
+
+// Entrada do export -> { position, name, creator, gd_id }; null se não dá
+function toDumpEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const position = positiveInteger(raw.position !== undefined ? raw.position : raw.pos !== undefined ? raw.pos : raw.placement);
+  const name = raw.name || raw.level_name || raw.title;
+  if (!position || typeof name !== 'string' || !name.trim()) return null;
+  return {
+    position,
+    name: name.trim(),
+    creator: creatorName(raw.creator || raw.publisher || raw.author || raw.creators),
+    // "id" só vale como id do GD se for número (no AREDL novo é um uuid)
+    gd_id: positiveInteger(raw.level_id || raw.levelId || raw.gd_id) || positiveInteger(raw.id)
+  };
+}
+
+// Lê o export; devolve { entries, skipped } (skipped = entradas sem
+// posição ou nome)
+function readListDump(file) {
+  if (!fs.existsSync(file)) throw new LocalizedError('error.file_not_found', { file });
+  if (path.extname(file).toLowerCase() !== '.json') throw new LocalizedError('error.sync_not_json');
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new LocalizedError('error.sync_invalid_json', { file, error: e.message });
+  }
+  const raw = Array.isArray(data) ? data : data && (data.levels || data.data);
+  if (!Array.isArray(raw)) throw new LocalizedError('error.sync_not_list');
+
+  const entries = raw.map(toDumpEntry).filter(Boolean);
+  if (entries.length === 0) throw new LocalizedError('error.sync_empty');
+  return { entries, skipped: raw.length - entries.length };
+}
+
+// Índices do export: gd_id, nome + criador e nome (só os sem repetição)
+function indexEntries(entries) {
+  const unique = (keyOf) => {
+    const map = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      if (key === null) return;
+      map.set(key, map.has(key) ? null : entry);
+    });
+    return map;
+  };
+  return {
+    byId: unique(e => e.gd_id || null),
+    byNameCreator: unique(e => (e.creator ? JSON.stringify([normalizeName(e.name), normalizeName(e.creator)]) : null)),
+    byName: unique(e => normalizeName(e.name))
+  };
+}
+
+function matchEntry(index, level) {
+  const byId = level.gd_id && index.byId.get(level.gd_id);
+  if (byId) return { entry: byId, match: 'id' };
+
+  const name = normalizeName(level.lvl_name);
+  const byNameCreator = index.byNameCreator.get(JSON.stringify([name, normalizeName(level.lvl_creator || '')]));
+  if (byNameCreator) return { entry: byNameCreator, match: 'name_creator' };
+
+  // Sem criador no export, o nome basta (se não se repete)
+  const byName = index.byName.get(name);
+  if (byName && !byName.creator) return { entry: byName, match: 'name' };
+  return null;
+}
+
+// ===== SINCRONIZAR =====
+// params: { source ('aredl' | 'idl' | 'hdl'), entries (readListDump), file? }
+function syncPositions(lists, params) {
+  const source = SOURCES[params.source];
+  if (!source) throw new LocalizedError('error.sync_invalid_source', { source: params.source, sources: Object.keys(SOURCES).join(', ') });
+
+  const index = indexEntries(params.entries);
+  const where = placements(lists);
+  const changes = [];
+  const missing = [];
+  let checked = 0;
+  let linked = 0;
+
+  flatten(lists).filter(level => level.diff_rank === source.rank).forEach(level => {
+    const { list, position } = where.get(level);
+    const found = matchEntry(index, level);
+    if (!found) {
+      missing.push({ id: level.id, name: level.lvl_name, position, list });
+      return;
+    }
+
+    checked++;
+    if (found.entry.gd_id && !level.gd_id) {
+      level.gd_id = found.entry.gd_id;
+      linked++;
+    }
+    if (level.pos_aredl === found.entry.position) return;
+    changes.push({ id: level.id, name: level.lvl_name, position, list, from: level.pos_aredl, to: found.entry.position, match: found.match });
+    level.pos_aredl = found.entry.position;
+  });
+
+  if (changes.length === 0 && linked === 0) {
+    throw new LocalizedError('error.sync_unchanged', { source: source.title, checked, missing: missing.length });
+  }
+
+  const result = {
+    operation: 'sync',
+    level: null,
+    position: null,
+    list: null,
+    source: params.source,
+    changes,
+    missing,
+    linked,
+    event: {
+      type: 'synced',
+      source: source.title,
+      file: params.file ? path.basename(params.file) : null,
+      changed: changes.length,
+      linked,
+      missing: missing.length
+    },
+    cascade_events: [],
+    cascades: []
+  };
+  const desc = describeChange(result);
+  const table = changes.length ? `\n\n${formatSyncTable(changes, MANAGER_LANGUAGE).join('\n')}` : '';
+  return { ...result, summary: desc, commitMessage: `${translate(MANAGER_LANGUAGE, 'operation.sync')} ${source.title}: ${desc}${table}` };
+}
+
+// Tabela para o terminal e para a mensagem do commit. c.match é um código
+// ('id', 'name_creator', 'name'), traduzido aqui
+function formatSyncTable(changes, lang = MANAGER_LANGUAGE) {
+  const width = Math.max(...changes.map(c => c.name.length), 4);
+  return changes.map(c => {
+    const from = c.from ? `#${c.from}` : '—';
+    return `#${String(c.position).padEnd(4)} ${c.name.padEnd(width)}  ${from.padStart(5)} → #${c.to}  (${translate(lang, `sync.match.${c.match}`)})`;
+  });
+}
+
+module.exports = {
+  SOURCES,
+  readListDump,
+  syncPositions,
+  formatSyncTable
+};
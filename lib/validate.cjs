@@ -0,0 +1,183 @@
+// ==========================
+// VALIDAÇÃO DOS levels_*.json
+// ==========================
+// Usado pelo servidor (index.js) e pelo gerenciador (scripts/cli.cjs).
+
+const { isValidEvent, toEvent } = require('./history.cjs');
+const { createLevelId, takenIds } = require('./ids.cjs');
+// Arquivos e tamanho de cada lista (Legacy não tem limite), ver lib/config.cjs
+const { LIST_NAMES, LIST_FILES, LIST_MAX } = require('./config.cjs');
+const { MANAGER_LANGUAGE, translate } = require('./i18n.cjs');
+
+const RANKS = ['Easy Demon', 'Medium Demon', 'Hard Demon', 'Insane Demon', 'Extreme Demon'];
+
+// Tier: "16", "8.5"
+const TIER_PATTERN = /^\d+(\.\d+)?$/;
+
+// O problema vai como chave de locales/ ("validate.*") e campos; o texto sai
+// no idioma de quem mostra (formatIssue)
+function issue(list, index, level, field, key, params, fixable) {
+  return {
+    file: LIST_FILES[list],
+    list,
+    index,
+    name: level && typeof level.lvl_name === 'string' ? level.lvl_name : null,
+    field,
+    key,
+    params,
+    fixable
+  };
+}
+
+function validateLevel(level, list, index) {
+  const issues = [];
+
+  if (!level || typeof level !== 'object' || Array.isArray(level)) {
+    return [issue(list, index, null, null, 'validate.not_object', {}, false)];
+  }
+
+  if (level.id === undefined) {
+    issues.push(issue(list, index, level, 'id', 'validate.id_missing', {}, true));
+  } else if (typeof level.id !== 'string' || !level.id.trim()) {
+    issues.push(issue(list, index, level, 'id', 'validate.id_type', { value: JSON.stringify(level.id) }, false));
+  }
+
+  if (typeof level.lvl_name !== 'string' || !level.lvl_name.trim()) {
+    issues.push(issue(list, index, level, 'lvl_name', 'validate.name_empty', {}, false));
+  }
+
+  if (typeof level.lvl_creator !== 'string') {
+    issues.push(issue(list, index, level, 'lvl_creator', 'validate.creator_type', {}, level.lvl_creator == null));
+  }
+
+  if (level.video_url !== undefined && typeof level.video_url !== 'string') {
+    issues.push(issue(list, index, level, 'video_url', 'validate.url_type', {}, level.video_url === null));
+  } else if (level.video_url && !/^https?:\/\//.test(level.video_url)) {
+    issues.push(issue(list, index, level, 'video_url', 'validate.url_invalid', { url: level.video_url }, false));
+  }
+
+  if (!RANKS.includes(level.diff_rank)) {
+    const fixable = typeof level.diff_rank === 'string' && !!normalizeRank(level.diff_rank);
+    issues.push(issue(list, index, level, 'diff_rank', 'validate.rank_unknown', { rank: level.diff_rank }, fixable));
+  }
+
+  if (typeof level.diff_scale !== 'string' || !TIER_PATTERN.test(level.diff_scale)) {
+    const fixable = TIER_PATTERN.test(String(level.diff_scale).trim());
+    issues.push(issue(list, index, level, 'diff_scale', 'validate.tier_type', { value: JSON.stringify(level.diff_scale) }, fixable));
+  }
+
+  if (!Number.isInteger(level.pos_aredl) || level.pos_aredl < 0) {
+    const fixable = normalizeExternalPosition(level.pos_aredl) !== null;
+    issues.push(issue(list, index, level, 'pos_aredl', 'validate.external_position', { value: JSON.stringify(level.pos_aredl) }, fixable));
+  }
+
+  // id do nível no Geometry Dash (opcional, ver lib/sync.cjs)
+  if (level.gd_id !== undefined && (!Number.isInteger(level.gd_id) || level.gd_id < 1)) {
+    issues.push(issue(list, index, level, 'gd_id', 'validate.gd_id', { value: JSON.stringify(level.gd_id) }, false));
+  }
+
+  if (level.pos_history !== undefined) {
+    if (!Array.isArray(level.pos_history)) {
+      issues.push(issue(list, index, level, 'pos_history', 'validate.history_type', {}, false));
+    } else if (!level.pos_history.every(isValidEvent)) {
+      issues.push(issue(list, index, level, 'pos_history', 'validate.history_events', {}, true));
+    }
+  }
+
+  return issues;
+}
+
+function validateLists(lists) {
+  const issues = [];
+  const seenIds = new Set();
+
+  LIST_NAMES.forEach((list, i) => {
+    const data = lists[list];
+    if (!Array.isArray(data)) {
+      issues.push(issue(list, null, null, null, 'validate.not_list', {}, false));
+      return;
+    }
+    // Só a última lista pode ficar incompleta; fora disso, a divisão não
+    // bate com lists.config.json
+    const below = LIST_NAMES.slice(i + 1).some(next => Array.isArray(lists[next]) && lists[next].length > 0);
+    if (LIST_MAX[list] !== undefined && (data.length > LIST_MAX[list] || (below && data.length < LIST_MAX[list]))) {
+      issues.push(issue(list, null, null, null, 'validate.list_size', { count: data.length, expected: LIST_MAX[list] }, false));
+    }
+    data.forEach((level, index) => {
+      issues.push(...validateLevel(level, list, index));
+      if (!level || typeof level.id !== 'string') return;
+      if (seenIds.has(level.id)) issues.push(issue(list, index, level, 'id', 'validate.id_duplicate', { id: level.id }, false));
+      seenIds.add(level.id);
+    });
+  });
+
+  return issues;
+}
+
+// ==========================
+// AUTO-FIX
+// ==========================
+function normalizeRank(rank) {
+  const clean = String(rank || '').trim().toLowerCase();
+  return RANKS.find(r => r.toLowerCase() === clean) || null;
+}
+
+// "" / null / "0" -> 0, "310" -> 310
+function normalizeExternalPosition(value) {
+  if (value === '' || value === null || value === undefined) return 0;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+// Corrige o que é seguro corrigir; retorna os problemas corrigidos
+function fixLists(lists) {
+  const fixed = validateLists(lists).filter(i => i.fixable);
+  const taken = takenIds(lists);
+
+  fixed.forEach(({ list, index, field }) => {
+    const level = lists[list][index];
+    switch (field) {
+      case 'id':
+        // id como primeiro campo, como no resto dos arquivos
+        lists[list][index] = { id: createLevelId(taken), ...level };
+        break;
+      case 'lvl_creator':
+        level.lvl_creator = '';
+        break;
+      case 'video_url':
+        level.video_url = '';
+        break;
+      case 'diff_rank':
+        level.diff_rank = normalizeRank(level.diff_rank);
+        break;
+      case 'diff_scale':
+        level.diff_scale = String(level.diff_scale).trim();
+        break;
+      case 'pos_aredl':
+        level.pos_aredl = normalizeExternalPosition(level.pos_aredl);
+        break;
+      case 'pos_history':
+        level.pos_history = level.pos_history.map(toEvent);
+        break;
+    }
+  });
+
+  return fixed;
+}
+
+function formatIssue(i, lang = MANAGER_LANGUAGE) {
+  const where = i.index === null ? i.file : `${i.file} [${i.index}]`;
+  const name = i.name ? ` "${i.name}"` : '';
+  const field = i.field ? ` ${i.field}:` : '';
+  return `${where}${name}${field} ${translate(lang, i.key, i.params)}`;
+}
+
+module.exports = {
+  LIST_FILES,
+  LIST_MAX,
+  RANKS,
+  validateLevel,
+  validateLists,
+  fixLists,
+  formatIssue
+};
@@ -1,44 +1,74 @@
 #!/usr/bin/env node
 const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
-const { execSync } = require('child_process');
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const { parseArgs } = require('util');
+const { validateLists, fixLists, formatIssue } = require('../lib/validate.cjs');
+const { writeSnapshot, snapshotPath } = require('../lib/snapshots.cjs');
+const { recordChange, describeChange, describeCascades, CHANGES_FILE } = require('../lib/changes.cjs');
+const { writeChangelog, CHANGELOG_FILE } = require('../lib/changelog.cjs');
+const { publish, retryPush, readQueue } = require('../lib/git.cjs');
+const { readBatchFile } = require('../lib/batch.cjs');
+const { SOURCES, readListDump, syncPositions, formatSyncTable } = require('../lib/sync.cjs');
+const { parseRange, exportRows, fileFormat, formatExport, readImportFile, importRows } = require('../lib/export.cjs');
+const { previewLists, formatPreview } = require('../lib/preview.cjs');
+const { CONFIG_FILE } = require('../lib/config.cjs');
+const {
+  LIST_NAMES, LIST_FILES, LIST_MAX, LIST_TITLES, loadLists, globalPosition, listRange,
+  findLevel, requireLevel, levelRows, searchLevels, similarLevels, addLevel, moveLevel, removeLevel, editLevel, repartition
+} = require('../lib/engine.cjs');
+const { recordJournal, planUndo, planRedo, markUndone, markRedone, journalHistory } = require('../lib/journal.cjs');
+const { LANGUAGES, MANAGER_LANGUAGE, errorMessage, formatDate, normalizeLanguage, translate, translator, isYes } = require('../lib/i18n.cjs');
 
 // ==========================
 // CONFIGURAÇÃO
 // ==========================
-const FILES = {
-  MAIN: 'levels_main.json',
-  EXTENDED: 'levels_extended.json',
-  LEGACY: 'levels_legacy.json'
-};
-
-const LIMITS = {
-  MAIN_MAX: 75,      // Posições 1-75
-  EXTENDED_MAX: 150  // Posições 76-150
-};
+// Listas, arquivos e tamanhos vêm de lists.config.json (lib/config.cjs)
 
 // Arquivos que serão monitorados no modo Batch
 const TRACKED_FILES = [
-  FILES.MAIN,
-  FILES.EXTENDED,
-  FILES.LEGACY,
-  'README.md'
+  ...LIST_NAMES.map(list => LIST_FILES[list]),
+  CONFIG_FILE,
+  'README.md',
+  CHANGES_FILE,
+  CHANGELOG_FILE,
+  snapshotPath() // snapshot do dia (lista em qualquer data, ver lib/snapshots.cjs)
 ];
 
+// Idioma das mensagens do terminal (lib/i18n.cjs): LEVELS_LANG=en ou, nos
+// subcomandos, --lang en. changes.json, CHANGELOG.md e os commits
+// continuam em português.
+let lang = normalizeLanguage(process.env.LEVELS_LANG) || MANAGER_LANGUAGE;
+let t = translator(lang);
+
+function setLanguage(value) {
+  lang = normalizeLanguage(value);
+  if (!lang) throw new UsageError(translate(MANAGER_LANGUAGE, 'cli.invalid_language', { lang: value, languages: LANGUAGES.join(', ') }));
+  t = translator(lang);
+}
+
 // ==========================
 // UTILITÁRIOS
 // ==========================
+// O readline só é criado quando o menu pergunta algo; os subcomandos não
+// leem o stdin
+let rl = null;
+
 function ask(question) {
+  if (!rl) rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   return new Promise(resolve => rl.question(question, resolve));
 }
 
-function load(file) {
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
+// Repete a pergunta até vir uma resposta (rank e tier não podem ficar vazios)
+async function askRequired(question) {
+  let answer = '';
+  while (!answer) answer = (await ask(question)).trim();
+  return answer;
+}
+
+function closePrompt() {
+  if (rl) rl.close();
+  rl = null;
 }
 
 function save(file, data) {
@@ -49,655 +79,458 @@ function save(file, data) {
 }
 
 function loadAll() {
-  return {
-    main: load(FILES.MAIN),
-    extended: load(FILES.EXTENDED),
-    legacy: load(FILES.LEGACY)
-  };
+  return loadLists('.');
+}
+
+function printIssues(issues) {
+  issues.forEach(i => console.log(`  • ${formatIssue(i, lang)}${i.fixable ? t('cli.fixable') : ''}`));
+}
+
+// Normaliza tipos e recusa dados inválidos
+function checkLists(lists) {
+  fixLists(lists);
+  const issues = validateLists(lists);
+  if (issues.length > 0) {
+    console.log(`\n${t('cli.invalid_data')}`);
+    printIssues(issues);
+    const error = new Error(t('cli.validation_failed', { count: issues.length }));
+    error.issues = issues;
+    throw error;
+  }
+}
+
+function saveLists(lists) {
+  LIST_NAMES.forEach(list => save(LIST_FILES[list], lists[list]));
 }
 
 function saveAll(lists) {
-  save(FILES.MAIN, lists.main);
-  save(FILES.EXTENDED, lists.extended);
-  save(FILES.LEGACY, lists.legacy);
+  checkLists(lists);
+
+  saveLists(lists);
+  writeSnapshot(process.cwd(), lists);
 }
 
 // --- Funções de Backup para o Modo Batch ---
-function createBatchBackups() {
+// (o "apply" usa outro sufixo para não mexer numa sessão Batch em andamento)
+const BATCH_BACKUP_SUFFIX = '.batch_temp';
+const APPLY_BACKUP_SUFFIX = '.apply_temp';
+
+function createBatchBackups(suffix = BATCH_BACKUP_SUFFIX) {
   TRACKED_FILES.forEach(file => {
     if (fs.existsSync(file)) {
-      fs.copyFileSync(file, `${file}.batch_temp`);
+      fs.copyFileSync(file, `${file}${suffix}`);
     }
   });
 }
 
-function restoreBatchBackups() {
+function restoreBatchBackups(suffix = BATCH_BACKUP_SUFFIX) {
   TRACKED_FILES.forEach(file => {
-    if (fs.existsSync(`${file}.batch_temp`)) {
-      fs.copyFileSync(`${file}.batch_temp`, file);
-      fs.unlinkSync(`${file}.batch_temp`); // Remove o temp após restaurar
+    if (fs.existsSync(`${file}${suffix}`)) {
+      fs.copyFileSync(`${file}${suffix}`, file);
+      fs.unlinkSync(`${file}${suffix}`); // Remove o temp após restaurar
     }
   });
 }
 
-function deleteBatchBackups() {
+function deleteBatchBackups(suffix = BATCH_BACKUP_SUFFIX) {
   TRACKED_FILES.forEach(file => {
-    if (fs.existsSync(`${file}.batch_temp`)) {
-      fs.unlinkSync(`${file}.batch_temp`);
+    if (fs.existsSync(`${file}${suffix}`)) {
+      fs.unlinkSync(`${file}${suffix}`);
     }
   });
 }
 // -------------------------------------------
 
-function ensurePosHistory(obj) {
-  if (!Array.isArray(obj.pos_history)) obj.pos_history = [];
-  obj.pos_history = obj.pos_history.map(e => 
-    typeof e === 'string' ? {log1: e} : (e && typeof e === 'object' ? e : {log1: String(e)})
-  );
+// Commit e push (lib/git.cjs), mostrando a saída do git quando algo falha.
+// Devolve { status: 'pushed' | 'committed' | 'queued' | 'unchanged' | 'failed', ... }
+// context: { operation, level, count } para o template da mensagem
+function gitCommitAndPush(files, message, context = {}) {
+  try {
+    const result = publish(process.cwd(), files, message, context);
+    if (result.error) console.error(`\n${result.error}\n`);
+    return result;
+  } catch (e) {
+    console.error(`\n${errorMessage(e, lang)}\n`);
+    return { status: 'failed', commit: null, error: errorMessage(e, lang), pending: 0 };
+  }
 }
 
-function removePosHistory(obj) {
-  delete obj.pos_history;
+// ==========================
+// OPERAÇÕES
+// ==========================
+// addLevel, moveLevel, removeLevel e editLevel (lib/engine.cjs) só alteram
+// `lists` em memória. Quem chama salva com saveOperation() e decide o que
+// mostrar: o menu interativo e os subcomandos (fim do arquivo) usam as
+// mesmas funções.
+
+// Salva as listas e registra a operação em changes.json (de onde saem o
+// CHANGELOG.md e as "Últimas alterações" do README, lib/changelog.cjs)
+// e no diário de desfazer/refazer (lib/journal.cjs)
+function saveOperation(lists, result) {
+  const before = loadAll();
+  saveAll(lists);
+  recordOperation(result);
+  writeChangelog(process.cwd());
+  recordJournal(process.cwd(), before, lists, result);
+}
+
+function recordOperation(result) {
+  if (result.operation === 'update' && result.changes.length === 0) return;
+
+  recordChange(process.cwd(), {
+    operation: result.operation,
+    summary: result.summary,
+    level: result.level,
+    level_id: result.level_id,
+    position: result.position,
+    list: result.list,
+    cascades: result.cascades,
+    event: result.event,
+    cascade_events: result.cascade_events
+  });
 }
 
-function nowDate() {
-  const d = new Date();
-  const day = String(d.getDate()).padStart(2, '0');
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const year = String(d.getFullYear()).slice(-2);
-  return `${day}/${month}/${year}`;
+// ===== DESFAZER / REFAZER =====
+// direction: 'undo' | 'redo'. Aplica a entrada do diário nas listas atuais
+// (recusa se elas não batem), salva e registra em changes.json.
+function planRevert(direction, lists) {
+  const plan = direction === 'undo' ? planUndo(process.cwd(), lists) : planRedo(process.cwd(), lists);
+  if (!plan) throw new Error(t(direction === 'undo' ? 'cli.journal.nothing_to_undo' : 'cli.journal.nothing_to_redo'));
+  return plan;
 }
 
-function updateReadmeSummary(date, entry) {
-  const file = 'README.md';
-  const startMarker = '';
-  const endMarker = '';
-  const header = `## Últimas alterações\n\n`;
-  const newBlock = `${startMarker}\n${header}- ${date} — ${entry}\n${endMarker}\n`;
-  let content = '';
-  if (fs.existsSync(file)) content = fs.readFileSync(file, 'utf8');
+function revertOperation(direction) {
+  const plan = planRevert(direction, loadAll());
 
-  if (content.includes(startMarker) && content.includes(endMarker)) {
-    const before = content.split(startMarker)[0];
-    const after = content.split(endMarker)[1] || '';
-    content = before + newBlock + after;
-  } else {
-    const idx = content.indexOf('\n');
-    if (idx !== -1) {
-      content = content.slice(0, idx + 1) + '\n' + newBlock + '\n' + content.slice(idx + 1);
-    } else {
-      content = newBlock + '\n' + content;
-    }
-  }
-  fs.writeFileSync(file, content, 'utf8');
+  saveAll(plan.lists);
+  if (direction === 'undo') markUndone(process.cwd(), plan.entry);
+  else markRedone(process.cwd(), plan.entry);
+
+  // O texto sai do evento original, em qualquer idioma (lib/changes.cjs)
+  const event = { type: direction === 'undo' ? 'undone' : 'redone', original: plan.entry.event || null, summary: plan.entry.summary };
+  const summary = describeChange({ event }, MANAGER_LANGUAGE);
+  recordChange(process.cwd(), { operation: direction, summary, level: plan.entry.level, level_id: plan.entry.level_id, event });
+  writeChangelog(process.cwd());
+
+  return {
+    operation: direction,
+    level: plan.entry.level,
+    journal_id: plan.entry.id,
+    event,
+    summary,
+    commitMessage: summary
+  };
 }
 
-function ensureGitAvailable() {
-  try {
-    execSync('git rev-parse --is-inside-work-tree', { stdio: 'ignore' });
-    const remotes = execSync('git remote', { encoding: 'utf8' }).trim();
-    if (!remotes) throw new Error('Nenhum remote configurado');
-    return true;
-  } catch (e) {
-    throw new Error('git não disponível ou remote não configurado');
-  }
+// Commit e push (ou nada, no modo Batch / --no-git). Resultado de
+// gitCommitAndPush, ou null = pulado
+function publishOperation(result, skipGit) {
+  if (skipGit) return null;
+  return gitCommitAndPush(TRACKED_FILES, result.commitMessage, { operation: result.operation, level: result.level });
+}
+
+function printPublishResult(git, failMessage = t('cli.publish.failed')) {
+  if (git === null) console.log(t('cli.publish.skipped'));
+  else console.log(git.status === 'failed' ? failMessage : t(`cli.publish.${git.status}`));
+}
+
+// Quem mudou de lista, no idioma do terminal
+function printCascades(title, result) {
+  const cascades = describeCascades(result, lang);
+  if (cascades.length === 0) return;
+  console.log(`\n${title}`);
+  cascades.forEach(c => console.log(`  • ${c}`));
 }
 
-function gitCommitAndPush(files, message) {
+// Erros das operações (nível não encontrado, posição inválida...) só
+// cancelam a ação no menu. Com `lists`, as listas já alteradas também são
+// validadas aqui, antes da prévia: um dado inválido não chega a ser
+// confirmado para depois falhar no save
+function tryOperation(apply, lists = null) {
   try {
-    if (process.env.SIMULATE_GIT === '1') {
-      console.log('[SIM] git add', Array.isArray(files) ? files.join(' ') : files);
-      console.log('[SIM] git commit -m "' + message + '"');
-      console.log('[SIM] git push');
-      return true;
-    }
-    ensureGitAvailable();
-    const addList = Array.isArray(files) ? files.join(' ') : files;
-    execSync(`git add ${addList}`, { stdio: 'ignore' });
-    execSync(`git commit -m "${message.replace(/"/g, '\\"')}"`, { stdio: 'ignore' });
-    execSync('git push', { stdio: 'ignore' });
-    return true;
+    const result = apply();
+    if (lists) checkLists(lists);
+    return result;
   } catch (e) {
-    console.error('Git commit/push falhou:', e.message);
-    return false;
+    console.log(`${errorMessage(e, lang)}.\n`);
+    return null;
   }
 }
 
-// ==========================
-// SISTEMA DE TRANSIÇÕES
-// ==========================
-function cascadeTransitions(lists, date) {
-  const changes = [];
-  
-  // 1. Main overflow → Extended
-  if (lists.main.length > LIMITS.MAIN_MAX) {
-    const overflow = lists.main.splice(LIMITS.MAIN_MAX);
-    overflow.forEach(level => {
-      removePosHistory(level);
-      lists.extended.unshift(level);
-      changes.push(`${level.lvl_name} caiu da Main (#${LIMITS.MAIN_MAX + 1}) para Extended (#${LIMITS.MAIN_MAX + 1})`);
-    });
-  }
-  
-  // 2. Extended overflow → Legacy
-  if (lists.extended.length > (LIMITS.EXTENDED_MAX - LIMITS.MAIN_MAX)) {
-    const maxExtended = LIMITS.EXTENDED_MAX - LIMITS.MAIN_MAX;
-    const overflow = lists.extended.splice(maxExtended);
-    overflow.forEach(level => {
-      lists.legacy.unshift(level);
-      changes.push(`${level.lvl_name} caiu da Extended (#${LIMITS.EXTENDED_MAX + 1}) para Legacy (#${LIMITS.EXTENDED_MAX + 1})`);
-    });
-  }
-  
-  return changes;
+// Mostra o que vai mudar (lib/preview.cjs) e pede confirmação antes de
+// salvar; `lists` já tem a operação aplicada, o disco ainda não
+async function confirmPreview(lists) {
+  console.log(`\n${t('cli.preview')}`);
+  formatPreview(previewLists(loadAll(), lists, lang), undefined, lang).forEach(line => console.log(`  ${line}`));
+
+  const confirm = await ask(`\n${t('cli.confirm_save')}`);
+  if (isYes(confirm)) return true;
+  console.log(`${t('cli.cancelled_nothing_saved')}\n`);
+  return false;
 }
 
 // ==========================
-// FUNÇÕES PRINCIPAIS
+// FUNÇÕES PRINCIPAIS (menu)
 // ==========================
 
 // ===== LISTAR =====
 async function list() {
   const lists = loadAll();
-  
-  console.log(`\n MAIN LIST (${lists.main.length}/${LIMITS.MAIN_MAX} níveis, posições 1-${LIMITS.MAIN_MAX}):\n`);
-  lists.main.slice(0, 20).forEach((l, i) => console.log(`  ${i+1}. ${l.lvl_name} - ${l.lvl_creator || 'unknown'}`));
-  if (lists.main.length > 20) console.log(`  ... e ${lists.main.length - 20} mais\n`);
-  
-  console.log(`\n EXTENDED LIST (${lists.extended.length}/${LIMITS.EXTENDED_MAX - LIMITS.MAIN_MAX} níveis, posições ${LIMITS.MAIN_MAX + 1}-${LIMITS.EXTENDED_MAX}):\n`);
-  lists.extended.slice(0, 10).forEach((l, i) => console.log(`  ${LIMITS.MAIN_MAX + i+1}. ${l.lvl_name} - ${l.lvl_creator || 'unknown'}`));
-  if (lists.extended.length > 10) console.log(`  ... e ${lists.extended.length - 10} mais\n`);
-  
-  console.log(`\n LEGACY LIST (${lists.legacy.length} níveis, posições ${LIMITS.EXTENDED_MAX + 1}+):\n`);
-  lists.legacy.slice(0, 10).forEach((l, i) => console.log(`  ${LIMITS.EXTENDED_MAX + i+1}. ${l.lvl_name} - ${l.lvl_creator || 'unknown'}`));
-  if (lists.legacy.length > 10) console.log(`  ... e ${lists.legacy.length - 10} mais\n`);
-  
+
+  LIST_NAMES.forEach((list, n) => {
+    const data = lists[list];
+    const shown = n === 0 ? 20 : 10;
+    const count = LIST_MAX[list] === undefined ? data.length : `${data.length}/${LIST_MAX[list]}`;
+    console.log(`\n ${t('cli.list.header', { title: LIST_TITLES[list].toUpperCase(), count, range: listRange(list) })}\n`);
+    data.slice(0, shown).forEach((l, i) => console.log(`  ${globalPosition(list, i)}. ${l.lvl_name} - ${l.lvl_creator || 'unknown'}`));
+    if (data.length > shown) console.log(`  ${t('cli.list.more', { count: data.length - shown })}\n`);
+  });
+
   console.log('');
 }
 
 // ===== BUSCAR =====
 async function search() {
-  const lists = loadAll();
-  const query = (await ask('\n Buscar (nome/criador): ')).toLowerCase();
+  const query = await ask(`\n ${t('cli.search.prompt')}`);
   if (!query) return;
-  
-  const allLevels = [
-    ...lists.main.map((l, i) => ({...l, pos: i + 1, list: 'MAIN'})),
-    ...lists.extended.map((l, i) => ({...l, pos: LIMITS.MAIN_MAX + i + 1, list: 'EXTENDED'})),
-    ...lists.legacy.map((l, i) => ({...l, pos: LIMITS.EXTENDED_MAX + i + 1, list: 'LEGACY'}))
-  ];
-  
-  const results = allLevels.filter(l => 
-    (l.lvl_name || '').toLowerCase().includes(query) ||
-    (l.lvl_creator || '').toLowerCase().includes(query)
-  );
-  
-  console.log(`\n ${results.length} resultado(s):\n`);
-  results.forEach(l => {
-    console.log(`  #${l.pos} (${l.list}): ${l.lvl_name} by ${l.lvl_creator}`);
-  });
+
+  // Sem resultado exato, tenta a busca aproximada (acentos, erros de digitação)
+  let results = searchLevels(loadAll(), query);
+  if (results.length === 0) {
+    results = searchLevels(loadAll(), query, { fuzzy: true });
+    console.log(`\n ${t('cli.search.fuzzy', { count: results.length })}\n`);
+  } else {
+    console.log(`\n ${t('cli.search.results', { count: results.length })}\n`);
+  }
+  results.forEach(l => console.log(`  ${formatRow(l)}`));
   console.log('');
 }
 
+function formatRow(l) {
+  return `#${l.position} (${l.list.toUpperCase()}): ${l.name} by ${l.creator} [${l.id}]`;
+}
+
 // ===== ADICIONAR =====
-async function addWithHistory(targetFile, skipGit = false) {
-  console.log('\n ADICIONAR NÍVEL COM TRANSIÇÕES AUTOMÁTICAS:');
-  
+// "Onde adicionar?" -> nome da lista, ou null
+async function askList() {
+  console.log(`\n${t('cli.add.where')}`);
+  LIST_NAMES.forEach((list, i) => console.log(`${i + 1}. ${LIST_TITLES[list]} List (${listRange(list)})`));
+  const choice = await ask('> ');
+  return LIST_NAMES[parseInt(choice, 10) - 1] || null;
+}
+
+async function addWithHistory(targetList, skipGit = false) {
+  console.log(`\n ${t('cli.add.title')}`);
+
   const lists = loadAll();
-  const targetList = targetFile === FILES.MAIN ? 'main' : targetFile === FILES.EXTENDED ? 'extended' : 'legacy';
-  const beforeTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  
-  const name = await ask('Nome do nível: ');
-  if (!name) { console.log('Cancelado.\n'); return; }
-  
-  const creator = await ask('Criador: ') || '';
-  const url = await ask('URL vídeo (Enter = pular): ') || '';
-  const rank = await ask('Rank (Enter = pular): ') || '';
-  const scale = await ask('Scale (Enter = pular): ') || '';
-  const aredl = await ask('Posição AREDL (Enter = pular): ') || '0';
-  const pos = await ask(`Posição na ${targetList.toUpperCase()} (Enter = final): `);
-  
-  const obj = { 
-    lvl_name: name, 
-    lvl_creator: creator, 
-    video_url: url, 
-    diff_rank: rank, 
-    diff_scale: scale, 
-    pos_aredl: parseInt(aredl) || 0
-  };
-  
-  const data = lists[targetList];
-  const idx = pos ? Math.max(0, Math.min(parseInt(pos) - 1, data.length)) : data.length;
-  
-  // Calcular posição global
-  let globalPos = idx + 1;
-  if (targetList === 'extended') globalPos = idx + LIMITS.MAIN_MAX + 1;
-  if (targetList === 'legacy') globalPos = idx + LIMITS.EXTENDED_MAX + 1;
-  
-  // Inserir na lista apropriada
-  data.splice(idx, 0, obj);
-  
-  // Adicionar histórico apenas se for Main
-  const date = nowDate();
-  if (targetList === 'main') {
-    ensurePosHistory(obj);
-    const above = idx > 0 ? data[idx - 1].lvl_name : null;
-    const below = idx + 1 < data.length ? data[idx + 1].lvl_name : null;
-    
-    let positionDesc = `Added to the list at position ${globalPos}`;
-    if (above || below) {
-      const parts = [];
-      if (above) parts.push(`below ${above}`);
-      if (below) parts.push(`above ${below}`);
-      positionDesc += `, ${parts.join(' and ')}`;
-    }
-    
-    obj.pos_history = [{ log1: `${date} - ${positionDesc}` }];
-    
-    // Atualizar histórico dos níveis abaixo na Main
-    for (let i = idx + 1; i < data.length; i++) {
-      ensurePosHistory(data[i]);
-      data[i].pos_history.push({ log1: `${date} - ${name} was added above (-1)` });
+
+  const name = await ask(t('cli.prompt.name'));
+  if (!name) { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  const creator = await ask(t('cli.prompt.creator')) || '';
+
+  // Já existe (talvez com outro acento ou um erro de digitação)?
+  const similar = similarLevels(lists, name, creator);
+  if (similar.length > 0) {
+    console.log(`\n${t('cli.add.similar')}`);
+    similar.forEach((l, i) => console.log(`  ${i + 1}. ${formatRow(l)}`));
+    const choice = (await ask(`\n${t('cli.add.similar_choice')}`)).toLowerCase();
+    if (choice === 'm') {
+      const index = similar.length > 1 ? parseInt(await ask(t('cli.add.which')), 10) - 1 : 0;
+      if (!similar[index]) { console.log(`${t('cli.cancelled')}\n`); return; }
+      await moveFound(lists, requireLevel(lists, similar[index].id), skipGit);
+      return;
     }
+    if (choice !== 'a') { console.log(`${t('cli.cancelled')}\n`); return; }
   }
-  
-  // Fazer transições em cascata
-  const cascadeChanges = cascadeTransitions(lists, date);
-  
-  saveAll(lists);
-  
-  console.log(`\n Nível "${name}" adicionado na posição ${globalPos} (${targetList.toUpperCase()})!`);
-  if (cascadeChanges.length > 0) {
-    console.log('\n Transições automáticas:');
-    cascadeChanges.forEach(c => console.log(`  • ${c}`));
-  }
+
+  const url = await ask(t('cli.prompt.video')) || '';
+  const rank = await askRequired(t('cli.prompt.rank'));
+  const scale = await askRequired(t('cli.prompt.scale'));
+  const aredl = await ask(t('cli.prompt.aredl')) || '0';
+  const pos = await ask(t('cli.prompt.position', { list: targetList.toUpperCase() }));
+  const date = await ask(t('cli.prompt.date'));
+
+  const result = tryOperation(() => addLevel(lists, {
+    list: targetList,
+    name,
+    lvl_creator: creator,
+    video_url: url,
+    diff_rank: rank,
+    diff_scale: scale,
+    pos_aredl: aredl,
+    position: pos,
+    date
+  }), lists);
+  if (!result) return;
+  if (!(await confirmPreview(lists))) return;
+
+  saveOperation(lists, result);
+
+  console.log(`\n ${t('cli.add.done', { name, position: result.position, list: targetList.toUpperCase() })}`);
+  printCascades(` ${t('cli.cascades.transitions')}`, result);
   console.log('');
-  
-  // Changelog
-  const afterTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  const addedToTop = afterTop.filter(n => !beforeTop.includes(n));
-  const removedFromTop = beforeTop.filter(n => !afterTop.includes(n));
-  
-  let desc = `${name} foi adicionado na posição ${globalPos} (${targetList.toUpperCase()})`;
-  if (removedFromTop.length) desc += `, fazendo com que ${removedFromTop.join(', ')} caia(m) para a Extended List`;
-  if (addedToTop.length && !addedToTop.includes(name)) desc += `, fazendo com que ${addedToTop.join(', ')} entre(m) para o Top ${LIMITS.MAIN_MAX}`;
-  if (cascadeChanges.length > 0) desc += `. ${cascadeChanges.join('; ')}`;
-
-  if (!skipGit) {
-    const ok = gitCommitAndPush(TRACKED_FILES, `Adicionado: ${desc}`);
-    console.log(ok ? 'Commit e push realizados.' : 'Commit/push falhou (verifique credenciais).');
-  } else {
-    console.log('Alteração salva localmente (pendente no modo Batch).');
-  }
+
+  printPublishResult(publishOperation(result, skipGit), t('cli.publish.failed_credentials'));
 }
 
 // ===== MOVER =====
 async function moveWithHistory(skipGit = false) {
-  console.log('\n MOVER NÍVEL COM TRANSIÇÕES AUTOMÁTICAS:');
-  
+  console.log(`\n ${t('cli.move.title')}`);
+
   const lists = loadAll();
-  
+
   // Mostrar alguns níveis de referência
-  console.log('\nPrimeiros 10 da Main:');
+  console.log(`\n${t('cli.first_levels', { count: 10, list: LIST_TITLES.main })}`);
   lists.main.slice(0, 10).forEach((l, i) => console.log(`  ${i+1}. ${l.lvl_name}`));
-  console.log('\nPrimeiros 5 da Extended:');
-  lists.extended.slice(0, 5).forEach((l, i) => console.log(`  ${LIMITS.MAIN_MAX + i+1}. ${l.lvl_name}`));
+  console.log(`\n${t('cli.first_levels', { count: 5, list: LIST_TITLES.extended })}`);
+  lists.extended.slice(0, 5).forEach((l, i) => console.log(`  ${globalPosition('extended', i)}. ${l.lvl_name}`));
   console.log('');
-  
-  const from = await ask('\nNome do nível ou posição global: ');
-  if (!from) { console.log('Cancelado.\n'); return; }
-  
-  // Buscar nível
-  let level, oldGlobalPos, oldList;
-  if (isNaN(from)) {
-    // Buscar por nome
-    let foundIdx = lists.main.findIndex(l => l.lvl_name.toLowerCase() === from.toLowerCase());
-    if (foundIdx !== -1) {
-      level = lists.main[foundIdx];
-      oldGlobalPos = foundIdx + 1;
-      oldList = 'main';
-    } else {
-      foundIdx = lists.extended.findIndex(l => l.lvl_name.toLowerCase() === from.toLowerCase());
-      if (foundIdx !== -1) {
-        level = lists.extended[foundIdx];
-        oldGlobalPos = LIMITS.MAIN_MAX + foundIdx + 1;
-        oldList = 'extended';
-      } else {
-        foundIdx = lists.legacy.findIndex(l => l.lvl_name.toLowerCase() === from.toLowerCase());
-        if (foundIdx !== -1) {
-          level = lists.legacy[foundIdx];
-          oldGlobalPos = LIMITS.EXTENDED_MAX + foundIdx + 1;
-          oldList = 'legacy';
-        }
-      }
-    }
-  } else {
-    // Buscar por posição global
-    const globalPos = parseInt(from);
-    if (globalPos <= LIMITS.MAIN_MAX) {
-      level = lists.main[globalPos - 1];
-      oldGlobalPos = globalPos;
-      oldList = 'main';
-    } else if (globalPos <= LIMITS.EXTENDED_MAX) {
-      level = lists.extended[globalPos - LIMITS.MAIN_MAX - 1];
-      oldGlobalPos = globalPos;
-      oldList = 'extended';
-    } else {
-      level = lists.legacy[globalPos - LIMITS.EXTENDED_MAX - 1];
-      oldGlobalPos = globalPos;
-      oldList = 'legacy';
-    }
-  }
-  
-  if (!level) {
-    console.log('Nível não encontrado.\n');
-    return;
-  }
-  
-  const to = await ask(`Nova posição global para "${level.lvl_name}" (atual: #${oldGlobalPos}): `);
-  const newGlobalPos = parseInt(to);
-  
-  if (newGlobalPos === oldGlobalPos) {
-    console.log('Nível já está nessa posição.\n');
-    return;
-  }
-  
-  const beforeTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  const date = nowDate();
-  
-  // Determinar lista de destino
-  let newList, newLocalIdx;
-  if (newGlobalPos <= LIMITS.MAIN_MAX) {
-    newList = 'main';
-    newLocalIdx = Math.max(0, Math.min(newGlobalPos - 1, lists.main.length));
-  } else if (newGlobalPos <= LIMITS.EXTENDED_MAX) {
-    newList = 'extended';
-    newLocalIdx = Math.max(0, Math.min(newGlobalPos - LIMITS.MAIN_MAX - 1, lists.extended.length));
-  } else {
-    newList = 'legacy';
-    newLocalIdx = Math.max(0, Math.min(newGlobalPos - LIMITS.EXTENDED_MAX - 1, lists.legacy.length));
-  }
-  
-  // Remover da lista antiga
-  const oldLocalIdx = lists[oldList].indexOf(level);
-  lists[oldList].splice(oldLocalIdx, 1);
-  
-  // Inserir na nova lista
-  lists[newList].splice(newLocalIdx, 0, level);
-  
-  // Gerenciar pos_history
-  const wasInMain = oldList === 'main';
-  const isInMain = newList === 'main';
-  
-  if (isInMain) {
-    // Promovido/movido para Main - garantir pos_history
-    ensurePosHistory(level);
-    
-    const delta = Math.abs(oldGlobalPos - newGlobalPos);
-    const sign = (oldGlobalPos > newGlobalPos) ? `+${delta}` : `-${delta}`;
-    
-    const above = newLocalIdx > 0 ? lists.main[newLocalIdx - 1].lvl_name : null;
-    const below = newLocalIdx + 1 < lists.main.length ? lists.main[newLocalIdx + 1].lvl_name : null;
-    
-    let moveDesc = `Moved to position ${newGlobalPos} (${sign})`;
-    if (above || below) {
-      const parts = [];
-      if (above) parts.push(`below ${above}`);
-      if (below) parts.push(`above ${below}`);
-      moveDesc += `, ${parts.join(' and ')}`;
-    }
-    level.pos_history.push({ log1: `${date} - ${moveDesc}` });
-    
-    // Atualizar histórico dos afetados na Main
-    const name = level.lvl_name;
-    if (oldGlobalPos > newGlobalPos) {
-      for (let i = newLocalIdx + 1; i < lists.main.length && i <= oldLocalIdx; i++) {
-        ensurePosHistory(lists.main[i]);
-        lists.main[i].pos_history.push({ log1: `${date} - ${name} was moved above (-1)` });
-      }
-    } else if (oldGlobalPos < newGlobalPos && wasInMain) {
-      for (let i = oldLocalIdx; i < newLocalIdx; i++) {
-        ensurePosHistory(lists.main[i]);
-        lists.main[i].pos_history.push({ log1: `${date} - ${name} was moved below (+1)` });
-      }
-    }
-  } else if (wasInMain && !isInMain) {
-    // Rebaixado da Main - remover pos_history
-    removePosHistory(level);
-  }
-  
-  // Fazer transições em cascata
-  const cascadeChanges = cascadeTransitions(lists, date);
-  
-  saveAll(lists);
-  
-  console.log(`\n"${level.lvl_name}" movido de #${oldGlobalPos} (${oldList.toUpperCase()}) para #${newGlobalPos} (${newList.toUpperCase()})!`);
-  if (cascadeChanges.length > 0) {
-    console.log('\nTransições automáticas:');
-    cascadeChanges.forEach(c => console.log(`  • ${c}`));
-  }
+
+  const from = await ask(`\n${t('cli.prompt.level')}`);
+  if (!from) { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  // Nome repetido: a mensagem lista as posições e ids para escolher
+  const found = tryOperation(() => requireLevel(lists, from));
+  if (!found) return;
+
+  await moveFound(lists, found, skipGit);
+}
+
+// Pergunta a nova posição de um nível já encontrado, mostra a prévia e salva
+async function moveFound(lists, found, skipGit) {
+  const to = await ask(t('cli.move.prompt_to', { name: found.level.lvl_name, position: found.position }));
+  const date = await ask(t('cli.prompt.date'));
+  const result = tryOperation(() => moveLevel(lists, { level: found.level.id || found.position, to, date }), lists);
+  if (!result) return;
+  if (!(await confirmPreview(lists))) return;
+
+  saveOperation(lists, result);
+
+  console.log(`\n${t('cli.move.done', { name: result.level, from: result.from, from_list: result.from_list.toUpperCase(), position: result.position, list: result.list.toUpperCase() })}`);
+  printCascades(t('cli.cascades.transitions'), result);
   console.log('');
-  
-  // Changelog
-  const afterTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  const addedToTop = afterTop.filter(n => !beforeTop.includes(n));
-  const removedFromTop = beforeTop.filter(n => !afterTop.includes(n));
-  
-  let desc = `${level.lvl_name} foi movido de #${oldGlobalPos} (${oldList.toUpperCase()}) para #${newGlobalPos} (${newList.toUpperCase()})`;
-  if (removedFromTop.length) desc += `, fazendo com que ${removedFromTop.join(', ')} caia(m) para Extended`;
-  if (addedToTop.length) desc += `, fazendo com que ${addedToTop.join(', ')} suba(m) para Main`;
-  if (cascadeChanges.length > 0) desc += `. ${cascadeChanges.join('; ')}`;
-  
-  if (!skipGit) {
-    const ok = gitCommitAndPush(TRACKED_FILES, `Movido: ${desc}`);
-    console.log(ok ? 'Commit e push realizados.' : 'Commit/push falhou.');
-  } else {
-    console.log('Alteração salva localmente (pendente no modo Batch).');
-  }
+
+  printPublishResult(publishOperation(result, skipGit));
 }
 
 // ===== DELETAR =====
 async function deleteLevel(skipGit = false) {
-  console.log('\nDELETAR COM PROMOÇÕES AUTOMÁTICAS:');
-  
+  console.log(`\n${t('cli.delete.title')}`);
+
   const lists = loadAll();
-  
-  console.log('\nPrimeiros 10 da Main:');
+
+  console.log(`\n${t('cli.first_levels', { count: 10, list: LIST_TITLES.main })}`);
   lists.main.slice(0, 10).forEach((l, i) => console.log(`  ${i+1}. ${l.lvl_name}`));
   console.log('');
-  
-  const input = await ask('\nNome do nível ou posição global: ');
-  if (!input) { console.log('Cancelado.\n'); return; }
-  
-  // Buscar nível
-  let level, globalPos, list;
-  if (isNaN(input)) {
-    let foundIdx = lists.main.findIndex(l => l.lvl_name.toLowerCase() === input.toLowerCase());
-    if (foundIdx !== -1) {
-      level = lists.main[foundIdx];
-      globalPos = foundIdx + 1;
-      list = 'main';
-    } else {
-      foundIdx = lists.extended.findIndex(l => l.lvl_name.toLowerCase() === input.toLowerCase());
-      if (foundIdx !== -1) {
-        level = lists.extended[foundIdx];
-        globalPos = LIMITS.MAIN_MAX + foundIdx + 1;
-        list = 'extended';
-      } else {
-        foundIdx = lists.legacy.findIndex(l => l.lvl_name.toLowerCase() === input.toLowerCase());
-        if (foundIdx !== -1) {
-          level = lists.legacy[foundIdx];
-          globalPos = LIMITS.EXTENDED_MAX + foundIdx + 1;
-          list = 'legacy';
-        }
-      }
-    }
-  } else {
-    const pos = parseInt(input);
-    if (pos <= LIMITS.MAIN_MAX) {
-      level = lists.main[pos - 1];
-      globalPos = pos;
-      list = 'main';
-    } else if (pos <= LIMITS.EXTENDED_MAX) {
-      level = lists.extended[pos - LIMITS.MAIN_MAX - 1];
-      globalPos = pos;
-      list = 'extended';
-    } else {
-      level = lists.legacy[pos - LIMITS.EXTENDED_MAX - 1];
-      globalPos = pos;
-      list = 'legacy';
-    }
-  }
-  
-  if (!level) {
-    console.log('Nível não encontrado.\n');
-    return;
-  }
-  
-  const beforeTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  const name = level.lvl_name;
-  
-  // Remover da lista
-  const idx = lists[list].indexOf(level);
-  lists[list].splice(idx, 1);
-  
-  // Preencher espaços vazios (promoções)
-  const date = nowDate();
-  const promotions = [];
-  
-  // Extended → Main
-  if (lists.extended.length > 0 && lists.main.length < LIMITS.MAIN_MAX) {
-    const promoted = lists.extended.shift();
-    lists.main.push(promoted);
-    ensurePosHistory(promoted);
-    promoted.pos_history.push({ 
-      log1: `${date} - Promoted to Main List at position ${lists.main.length} (was Extended #${LIMITS.MAIN_MAX + 1})` 
-    });
-    promotions.push(`${promoted.lvl_name} promovido de Extended para Main (#${lists.main.length})`);
-  }
-  
-  // Legacy → Extended
-  if (lists.legacy.length > 0 && lists.extended.length < (LIMITS.EXTENDED_MAX - LIMITS.MAIN_MAX)) {
-    const promoted = lists.legacy.shift();
-    lists.extended.push(promoted);
-    promotions.push(`${promoted.lvl_name} promovido de Legacy para Extended (#${LIMITS.MAIN_MAX + lists.extended.length})`);
-  }
-  
-  saveAll(lists);
-  
-  console.log(`"${name}" deletado de #${globalPos} (${list.toUpperCase()})!\n`);
-  if (promotions.length > 0) {
-    console.log('Promoções automáticas:');
-    promotions.forEach(p => console.log(`  • ${p}`));
+
+  const input = await ask(`\n${t('cli.prompt.level')}`);
+  if (!input) { console.log(`${t('cli.cancelled')}\n`); return; }
+  const date = await ask(t('cli.prompt.date'));
+
+  const result = tryOperation(() => removeLevel(lists, { level: input, date }), lists);
+  if (!result) return;
+  if (!(await confirmPreview(lists))) return;
+
+  saveOperation(lists, result);
+
+  console.log(`${t('cli.delete.done', { name: result.level, position: result.position, list: result.list.toUpperCase() })}\n`);
+  if (result.cascade_events.length > 0) {
+    console.log(t('cli.cascades.promotions'));
+    describeCascades(result, lang).forEach(p => console.log(`  • ${p}`));
     console.log('');
   }
-  
-  // Changelog
-  const afterTop = lists.main.slice(0, LIMITS.MAIN_MAX).map(d => d.lvl_name);
-  const addedToTop = afterTop.filter(n => !beforeTop.includes(n));
-  
-  let desc = `${name} removido de #${globalPos} (${list.toUpperCase()})`;
-  if (addedToTop.length) desc += `, ${addedToTop.join(', ')} promovido(s) para Main`;
-  if (promotions.length > 0) desc += `. ${promotions.join('; ')}`;
-  
-  if (!skipGit) {
-    const ok = gitCommitAndPush(TRACKED_FILES, `Removido: ${desc}`);
-    console.log(ok ? 'Commit e push realizados.' : 'Commit/push falhou.');
-  } else {
-    console.log('Alteração salva localmente (pendente no modo Batch).');
-  }
+
+  printPublishResult(publishOperation(result, skipGit));
 }
 
 // ===== EDITAR =====
 async function update(skipGit = false) {
-  console.log('\nEDITAR:');
-  
+  console.log(`\n${t('cli.edit.title')}`);
+
   const lists = loadAll();
-  
-  console.log('\nPrimeiros 10 da Main:');
+
+  console.log(`\n${t('cli.first_levels', { count: 10, list: LIST_TITLES.main })}`);
   lists.main.slice(0, 10).forEach((l, i) => console.log(`  ${i+1}. ${l.lvl_name}`));
   console.log('');
-  
-  const input = await ask('\nNome do nível ou posição global: ');
-  if (!input) { console.log('Cancelado.\n'); return; }
-  
-  // Buscar nível
-  let level;
-  if (isNaN(input)) {
-    level = lists.main.find(l => l.lvl_name.toLowerCase() === input.toLowerCase()) ||
-            lists.extended.find(l => l.lvl_name.toLowerCase() === input.toLowerCase()) ||
-            lists.legacy.find(l => l.lvl_name.toLowerCase() === input.toLowerCase());
-  } else {
-    const pos = parseInt(input);
-    if (pos <= LIMITS.MAIN_MAX) {
-      level = lists.main[pos - 1];
-    } else if (pos <= LIMITS.EXTENDED_MAX) {
-      level = lists.extended[pos - LIMITS.MAIN_MAX - 1];
-    } else {
-      level = lists.legacy[pos - LIMITS.EXTENDED_MAX - 1];
-    }
+
+  const input = await ask(`\n${t('cli.prompt.level')}`);
+  if (!input) { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  const found = tryOperation(() => requireLevel(lists, input));
+  if (!found) return;
+  const level = found.level;
+
+  console.log(`\n${t('cli.edit.editing', { name: level.lvl_name })}`);
+
+  const fields = {
+    lvl_name: await ask(t('cli.edit.name', { value: level.lvl_name })),
+    lvl_creator: await ask(t('cli.edit.creator', { value: level.lvl_creator })),
+    video_url: await ask(t('cli.edit.video', { value: level.video_url })),
+    diff_rank: await ask(t('cli.edit.rank', { value: level.diff_rank })),
+    diff_scale: await ask(t('cli.edit.scale', { value: level.diff_scale })),
+    pos_aredl: await ask(t('cli.edit.aredl', { value: level.pos_aredl || '-' }))
+  };
+  const date = await ask(t('cli.prompt.date'));
+
+  const result = tryOperation(() => editLevel(lists, { level: level.id || found.position, fields, date }), lists);
+  if (!result) return;
+  if (!(await confirmPreview(lists))) return;
+
+  saveOperation(lists, result);
+  console.log(`${t('cli.edit.done')}\n`);
+
+  printPublishResult(publishOperation(result, skipGit));
+}
+
+// ===== VALIDAR =====
+async function validate() {
+  console.log(`\n${t('cli.validate.title')}`);
+
+  const lists = loadAll();
+  const issues = validateLists(lists);
+
+  if (issues.length === 0) {
+    console.log(`${t('cli.validate.none')}\n`);
+    return;
   }
-  
-  if (!level) {
-    console.log('Nível não encontrado.\n');
+
+  console.log(`\n${t('cli.validate.issues', { count: issues.length })}\n`);
+  printIssues(issues);
+
+  const fixable = issues.filter(i => i.fixable);
+  if (fixable.length === 0) {
+    console.log(`\n${t('cli.validate.none_fixable')}\n`);
     return;
   }
-  
-  console.log(`\nEditando: ${level.lvl_name}`);
-  
-  const old = {
-    lvl_creator: level.lvl_creator,
-    video_url: level.video_url,
-    diff_rank: level.diff_rank,
-    diff_scale: level.diff_scale,
-    pos_aredl: level.pos_aredl
-  };
 
-  const creator = await ask(`Criador [${level.lvl_creator}]: `) || level.lvl_creator;
-  const url = await ask(`URL [${level.video_url}]: `) || level.video_url;
-  const rank = await ask(`Rank [${level.diff_rank}]: `) || level.diff_rank;
-  const scale = await ask(`Scale [${level.diff_scale}]: `) || level.diff_scale;
-  const aredl = await ask(`AREDL [${level.pos_aredl || '-'}]: `);
-
-  level.lvl_creator = creator;
-  level.video_url = url;
-  level.diff_rank = rank;
-  level.diff_scale = scale;
-  if (aredl) level.pos_aredl = parseInt(aredl, 10);
-  
-  saveAll(lists);
-  console.log(`Atualizado!\n`);
-  
-  const changes = [];
-  if (old.lvl_creator !== level.lvl_creator) changes.push(`criador: ${old.lvl_creator} → ${level.lvl_creator}`);
-  if (old.video_url !== level.video_url) changes.push(`URL`);
-  if (old.diff_rank !== level.diff_rank) changes.push(`rank: ${old.diff_rank} → ${level.diff_rank}`);
-  if (old.diff_scale !== level.diff_scale) changes.push(`scale: ${old.diff_scale} → ${level.diff_scale}`);
-  if (old.pos_aredl !== level.pos_aredl) changes.push(`AREDL: ${old.pos_aredl} → ${level.pos_aredl}`);
-  
-  const name = level.lvl_name || '(sem nome)';
-  const desc = changes.length ? `${name} atualizado: ${changes.join(', ')}` : `${name} editado (sem mudanças)`;
-  
-  if (!skipGit) {
-    const ok = gitCommitAndPush(TRACKED_FILES, `Atualizado: ${desc}`);
-    console.log(ok ? 'Commit e push realizados.' : 'Commit/push falhou.');
-  } else {
-    console.log('Alteração salva localmente (pendente no modo Batch).');
+  const confirm = await ask(`\n${t('cli.validate.confirm', { count: fixable.length })}`);
+  if (!isYes(confirm)) { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  fixLists(lists);
+  const remaining = validateLists(lists);
+  saveLists(lists);
+
+  console.log(`\n${t('cli.validate.fixed', { count: fixable.length })}`);
+  if (remaining.length > 0) {
+    console.log(t('cli.validate.remaining', { count: remaining.length }));
+    printIssues(remaining);
   }
+  console.log('');
 }
 
 // ==========================
 // BATCH COMMIT - COMMITS EM LOTE
 // ==========================
 async function batchCommit() {
-  console.log('\nCOMMIT EM LOTE - Economize deploys!\n');
-  console.log('Esta opção cria backups dos arquivos atuais.');
-  console.log('Se você cancelar, os arquivos voltarão ao estado original.\n');
+  console.log(`\n${t('cli.batch.title')}\n`);
+  console.log(t('cli.batch.intro'));
+  console.log(`${t('cli.batch.intro_cancel')}\n`);
   
   // CRIAR BACKUPS
-  console.log('Criando ponto de restauração...');
+  console.log(t('cli.batch.backup_creating'));
   createBatchBackups();
-  console.log('Backups criados. Iniciando sessão de edição.\n');
+  console.log(`${t('cli.batch.backup_done')}\n`);
 
   let changesMade = false;
   let changeLog = [];
@@ -705,62 +538,49 @@ async function batchCommit() {
   let batchRunning = true;
   while (batchRunning) {
     console.log('\n╔═══════════════════════════════════════╗');
-    console.log('║       MODO BATCH - Menu               ║');
+    console.log(`║       ${t('cli.batch.menu').padEnd(32)}║`);
     console.log('╚═══════════════════════════════════════╝\n');
-    console.log('1. Adicionar nível');
-    console.log('2. Editar nível');
-    console.log('3. Deletar nível');
-    console.log('4. Mover nível');
-    console.log('5. Ver mudanças pendentes');
-    console.log('6. SALVAR E COMMITAR TUDO');
-    console.log('7. Cancelar (RESTAURAR ARQUIVOS)');
-    console.log('0. Voltar ao menu principal (mantendo alterações locais)\n');
+    ['add', 'edit', 'delete', 'move', 'pending', 'commit', 'cancel'].forEach(option => console.log(t(`cli.batch.option_${option}`)));
+    console.log(`${t('cli.batch.option_back')}\n`);
     
     if (changesMade) {
-      console.log(`Você tem ${changeLog.length} mudança(s) pendente(s)\n`);
+      console.log(`${t('cli.batch.pending_count', { count: changeLog.length })}\n`);
     }
     
     const choice = await ask('> ');
     
     switch (choice) {
       case '1':
-        console.log('\nOnde adicionar?');
-        console.log('1. Main List (1-75)');
-        console.log('2. Extended List (76-150)');
-        console.log('3. Legacy List (151+)');
-        const addChoice = await ask('> ');
-        const addFile = addChoice === '1' ? FILES.MAIN : 
-                       addChoice === '2' ? FILES.EXTENDED : 
-                       addChoice === '3' ? FILES.LEGACY : null;
-        if (addFile) {
-          await addWithHistory(addFile, true);
+        const addList = await askList();
+        if (addList) {
+          await addWithHistory(addList, true);
           changesMade = true;
-          changeLog.push(`Adicionado nível na ${addChoice === '1' ? 'Main' : addChoice === '2' ? 'Extended' : 'Legacy'}`);
+          changeLog.push(t('cli.batch.log_add', { list: LIST_TITLES[addList] }));
         }
         break;
       
       case '2':
         await update(true);
         changesMade = true;
-        changeLog.push('Editado nível');
+        changeLog.push(t('cli.batch.log_edit'));
         break;
       
       case '3':
         await deleteLevel(true);
         changesMade = true;
-        changeLog.push('Deletado nível');
+        changeLog.push(t('cli.batch.log_delete'));
         break;
       
       case '4':
         await moveWithHistory(true);
         changesMade = true;
-        changeLog.push('Movido nível');
+        changeLog.push(t('cli.batch.log_move'));
         break;
       
       case '5':
-        console.log('\nMUDANÇAS PENDENTES:\n');
+        console.log(`\n${t('cli.batch.pending_title')}\n`);
         if (changeLog.length === 0) {
-          console.log('Nenhuma mudança pendente.\n');
+          console.log(`${t('cli.batch.no_pending')}\n`);
         } else {
           changeLog.forEach((change, idx) => {
             console.log(`  ${idx + 1}. ${change}`);
@@ -771,65 +591,67 @@ async function batchCommit() {
       
       case '6':
         if (!changesMade) {
-          console.log('\nNenhuma mudança para commitar!\n');
+          console.log(`\n${t('cli.batch.nothing_to_commit')}\n`);
           break;
         }
         
-        console.log('\nCOMMITANDO TODAS AS MUDANÇAS...\n');
-        console.log('Resumo das mudanças:');
+        console.log(`\n${t('cli.batch.committing')}\n`);
+        console.log(t('cli.batch.summary'));
         changeLog.forEach((change, idx) => {
           console.log(`  ${idx + 1}. ${change}`);
         });
         
-        const commitMsg = await ask('\nMensagem do commit (Enter = usar padrão): ');
-        const finalMsg = commitMsg || `Batch update: ${changeLog.length} mudanças`;
+        const commitMsg = await ask(`\n${t('cli.batch.message_prompt')}`);
+        const finalMsg = commitMsg || batchTitle(changeLog.length);
         
         const success = gitCommitAndPush(
           TRACKED_FILES,
-          finalMsg
-        );
+          finalMsg,
+          { operation: 'batch', count: changeLog.length }
+        ).status !== 'failed';
         
         if (success) {
-          console.log('\nTodas as mudanças foram commitadas e enviadas!');
-          console.log('O Vercel fará apenas 1 deploy para todas as mudanças!\n');
+          console.log(`\n${t('cli.batch.done')}`);
+          console.log(`${t('cli.batch.done_deploy')}\n`);
           // Se deu sucesso, não precisamos mais dos backups
           deleteBatchBackups();
           changeLog = [];
           changesMade = false;
         } else {
-          console.log('\nFalha no commit. Mudanças salvas localmente.\n');
+          console.log(`\n${t('cli.batch.failed')}\n`);
         }
         break;
       
       case '7':
         if (changesMade) {
-          const confirm = await ask('\nTem certeza? Isso irá REVERTER os arquivos para o estado inicial. (s/n): ');
-          if (confirm.toLowerCase() === 's') {
-            console.log('\nRestaurando arquivos originais...');
+          const confirm = await ask(`\n${t('cli.batch.restore_confirm')}`);
+          if (isYes(confirm)) {
+            console.log(`\n${t('cli.batch.restoring')}`);
             restoreBatchBackups();
-            console.log('Todas as alterações foram descartadas.\n');
+            console.log(`${t('cli.batch.restored')}\n`);
             changeLog = [];
             changesMade = false;
           }
         } else {
-            console.log('Nenhuma mudança para cancelar. Removendo backups temporários.');
+            console.log(t('cli.batch.nothing_to_cancel'));
             deleteBatchBackups();
         }
         break;
       
       case '0':
         if (changesMade) {
-          console.log('\nVocê tem mudanças pendentes salvas localmente!');
-          const confirm = await ask('Deseja salvar no Git antes de sair? (s/n): ');
-          if (confirm.toLowerCase() === 's') {
-            const finalMsg = `Batch update: ${changeLog.length} mudanças`;
+          console.log(`\n${t('cli.batch.pending_local')}`);
+          const confirm = await ask(t('cli.batch.save_before_exit'));
+          if (isYes(confirm)) {
+            const finalMsg = batchTitle(changeLog.length);
             const ok = gitCommitAndPush(
               TRACKED_FILES,
-              finalMsg
-            );
+              finalMsg,
+              { operation: 'batch', count: changeLog.length }
+            ).status !== 'failed';
             if(ok) deleteBatchBackups();
           } else {
-             console.log('Saindo sem commitar. As alterações permanecem salvas no disco.');
+             console.log(t('cli.batch.exit_without_commit'));
              // Remove backups pois usuário escolheu sair conscientemente
              deleteBatchBackups();
           }
@@ -840,9 +662,308 @@ async function batchCommit() {
         break;
       
       default:
-        console.log('Opção inválida.\n');
+        console.log(`${t('cli.invalid_option')}\n`);
+    }
+  }
+}
+
+// ==========================
+// ARQUIVO DE ALTERAÇÕES (lote)
+// ==========================
+// Aplica todos os passos de um arquivo (ver lib/batch.cjs) de uma vez:
+// tudo é aplicado em memória, em ordem e com as cascatas, e só é salvo
+// se todos os passos e a validação final passarem. Um único commit.
+class UsageError extends Error {}
+
+function required(value, option) {
+  if (value === undefined || value === '') throw new UsageError(t('cli.missing_option', { option }));
+  return value;
+}
+
+// Opções da linha de comando -> campos do nível
+function levelFields(values) {
+  const fields = {};
+  if (values.creator !== undefined) fields.lvl_creator = values.creator;
+  if (values.video !== undefined) fields.video_url = values.video;
+  if (values.rank !== undefined) fields.diff_rank = values.rank;
+  if (values.tier !== undefined) fields.diff_scale = values.tier;
+  if (values.aredl !== undefined) fields.pos_aredl = values.aredl;
+  if (values['gd-id'] !== undefined) fields.gd_id = values['gd-id'];
+  return fields;
+}
+
+// Sem --force, adicionar um nível parecido com um que já existe (lib/fuzzy.cjs)
+// é recusado: quase sempre o certo é mover o existente
+function refuseDuplicate(lists, name, creator) {
+  const similar = similarLevels(lists, name, creator);
+  if (similar.length === 0) return;
+  throw new Error(t('cli.add.duplicate', { levels: similar.map(formatRow).join('; ') }));
+}
+
+// Passo (opções dos subcomandos) -> operação; args = argumentos posicionais
+const LEVEL_OPERATIONS = {
+  add: (lists, values, args = []) => {
+    const name = required(values.name !== undefined ? values.name : args[0], '--name');
+    if (values.force !== true && values.force !== 'true') refuseDuplicate(lists, name, values.creator);
+    return addLevel(lists, {
+      list: required(values.list, '--list'),
+      name,
+      ...levelFields(values),
+      position: values.position,
+      date: values.date
+    });
+  },
+  move: (lists, values, args = []) => moveLevel(lists, {
+    level: required(values.level !== undefined ? values.level : args[0], '--level'),
+    to: required(values.to, '--to'),
+    date: values.date
+  }),
+  delete: (lists, values, args = []) => removeLevel(lists, {
+    level: required(values.level !== undefined ? values.level : args[0], '--level'),
+    date: values.date
+  }),
+  edit: (lists, values, args = []) => editLevel(lists, {
+    level: required(values.level !== undefined ? values.level : args[0], '--level'),
+    fields: { ...levelFields(values), lvl_name: values.name },
+    date: values.date
+  })
+};
+
+// Aplica os passos em memória; o primeiro que falhar interrompe tudo
+function applyBatch(lists, steps) {
+  if (steps.length === 0) throw new Error(t('cli.apply.empty'));
+  return steps.map((step, i) => {
+    try {
+      return LEVEL_OPERATIONS[step.op](lists, step);
+    } catch (e) {
+      const line = step.line ? t('cli.apply.line', { line: step.line }) : '';
+      throw new Error(t('cli.apply.step_failed', { step: i + 1, line, op: step.op, error: errorMessage(e, lang) }));
     }
+  });
+}
+
+// Salva tudo ou nada: se algo falhar no meio, os arquivos voltam ao estado anterior
+function saveBatch(lists, operations) {
+  const before = loadAll();
+  createBatchBackups(APPLY_BACKUP_SUFFIX);
+  try {
+    saveAll(lists);
+    operations.forEach(recordOperation);
+    writeChangelog(process.cwd());
+  } catch (e) {
+    restoreBatchBackups(APPLY_BACKUP_SUFFIX);
+    throw e;
+  }
+  deleteBatchBackups(APPLY_BACKUP_SUFFIX);
+
+  // O lote inteiro é uma entrada só no diário
+  const event = { type: 'batch', events: operations.map(o => o.event) };
+  recordJournal(process.cwd(), before, lists, {
+    operation: 'batch',
+    summary: describeChange({ event }, MANAGER_LANGUAGE),
+    event,
+    level: operations.map(o => o.level).join(', ')
+  });
+}
+
+// Commits sempre em português, como changes.json
+function batchTitle(count, title = translate(MANAGER_LANGUAGE, 'commit.batch_title')) {
+  return translate(MANAGER_LANGUAGE, 'commit.batch', { title, count });
+}
+
+function batchCommitMessage(operations, title) {
+  return `${batchTitle(operations.length, title)}\n\n${operations.map(o => `- ${o.summary}`).join('\n')}`;
+}
+
+function importTitle(file) {
+  return translate(MANAGER_LANGUAGE, 'commit.import_title', { file: path.basename(file) });
+}
+
+async function applyFile(skipGit = false) {
+  console.log(`\n${t('cli.apply.title')}`);
+
+  const file = await ask(t('cli.prompt.file'));
+  if (!file) { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  const lists = loadAll();
+  let operations;
+  try {
+    operations = applyBatch(lists, readBatchFile(file));
+    checkLists(lists);
+  } catch (e) {
+    console.log(`\n${t('cli.apply.failed', { error: errorMessage(e, lang) })}\n`);
+    return;
+  }
+
+  await confirmBatch(lists, operations, skipGit);
+}
+
+// Mostra os passos e a prévia de um lote já aplicado em memória; salva e
+// commita tudo junto se confirmado
+async function confirmBatch(lists, operations, skipGit, title) {
+  console.log(`\n${t('cli.apply.steps', { count: operations.length })}\n`);
+  operations.forEach((o, i) => console.log(`  ${i + 1}. ${describeChange(o, lang)}`));
+  console.log(`\n${t('cli.preview')}`);
+  formatPreview(previewLists(loadAll(), lists, lang), undefined, lang).forEach(line => console.log(`  ${line}`));
+
+  const confirm = await ask(`\n${t('cli.apply.confirm')}`);
+  if (!isYes(confirm)) { console.log(`${t('cli.cancelled_nothing_saved')}\n`); return; }
+
+  try {
+    saveBatch(lists, operations);
+  } catch (e) {
+    console.log(`\n${t('cli.nothing_saved', { error: errorMessage(e, lang) })}\n`);
+    return;
+  }
+  console.log(`\n${t('cli.apply.saved', { count: operations.length })}`);
+
+  if (skipGit) return;
+  printPublishResult(gitCommitAndPush(TRACKED_FILES, batchCommitMessage(operations, title), { operation: 'batch', count: operations.length }));
+  console.log('');
+}
+
+// ==========================
+// EXPORTAR / IMPORTAR (lib/export.cjs)
+// ==========================
+// --list / --range (ou as perguntas do menu) -> seleção
+function parseSelection(list, range) {
+  if (list && !LIST_NAMES.includes(list)) throw new UsageError(t('cli.invalid_list', { list, lists: LIST_NAMES.join(', ') }));
+  const parsedRange = range ? parseRange(range) : null;
+  if (range && !parsedRange) throw new UsageError(t('cli.invalid_range', { range }));
+  return { list: list || null, range: parsedRange };
+}
+
+function exportFile(file, selection) {
+  const rows = exportRows(loadAll(), selection);
+  fs.writeFileSync(file, formatExport(rows, fileFormat(file)), 'utf8');
+  return rows.length;
+}
+
+async function exportImport(skipGit = false) {
+  console.log(`\n${t('cli.export.title')}`);
+
+  const choice = (await ask(t('cli.export.choice'))).toLowerCase();
+  if (choice !== 'e' && choice !== 'i') { console.log(`${t('cli.cancelled')}\n`); return; }
+
+  const file = await ask(t('cli.prompt.file'));
+  if (!file) { console.log(`${t('cli.cancelled')}\n`); return; }
+  const list = await ask(t('cli.export.list', { lists: LIST_NAMES.join('/') }));
+  const range = await ask(t('cli.export.range'));
+
+  const selection = tryOperation(() => parseSelection(list, range));
+  if (!selection) return;
+
+  if (choice === 'e') {
+    const total = tryOperation(() => exportFile(file, selection));
+    if (total !== null) console.log(`\n${t('cli.export.done', { count: total, file })}\n`);
+    return;
+  }
+
+  const lists = loadAll();
+  const operations = tryOperation(() => importRows(lists, readImportFile(file), selection), lists);
+  if (!operations) return;
+  if (operations.length === 0) { console.log(`\n${t('cli.export.unchanged')}\n`); return; }
+  await confirmBatch(lists, operations, skipGit, importTitle(file));
+}
+
+// ==========================
+// HISTÓRICO (desfazer / refazer)
+// ==========================
+async function journalMenu(skipGit = false) {
+  console.log(`\n${t('cli.journal.title')}\n`);
+
+  const history = journalHistory(process.cwd());
+  if (history.length === 0) {
+    console.log(`${t('cli.journal.empty')}\n`);
+    return;
   }
+  history.slice(0, 10).forEach(e => {
+    console.log(`  ${e.undone ? t('cli.journal.undone') : ''}#${e.id} ${formatDate(e.date.slice(0, 10), lang)} - ${describeChange(e, lang)}`);
+  });
+
+  const choice = (await ask(`\n${t('cli.journal.choice')}`)).toLowerCase();
+  const direction = choice === 'd' ? 'undo' : choice === 'r' ? 'redo' : null;
+  if (!direction) return;
+
+  const result = tryOperation(() => revertOperation(direction));
+  if (!result) return;
+
+  console.log(`\n${describeChange(result, lang)}\n`);
+  printPublishResult(publishOperation(result, skipGit));
+}
+
+// ==========================
+// REPARTIR (lists.config.json)
+// ==========================
+// Depois de mudar os tamanhos ou as listas em lists.config.json: move os
+// níveis entre os arquivos sem mudar a ordem global
+async function repartitionLists(skipGit = false) {
+  console.log(`\n${t('cli.repartition.title')}`);
+  LIST_NAMES.forEach(list => console.log(`  ${LIST_TITLES[list]}: ${listRange(list)} (${LIST_FILES[list]})`));
+
+  const lists = loadAll();
+  const result = tryOperation(() => repartition(lists), lists);
+  if (!result) return;
+  if (!(await confirmPreview(lists))) return;
+
+  saveOperation(lists, result);
+  console.log(`\n${t('cli.repartition.done', { count: result.cascade_events.length })}\n`);
+
+  printPublishResult(publishOperation(result, skipGit));
+}
+
+// ==========================
+// SINCRONIZAR POSIÇÕES EXTERNAS (lib/sync.cjs)
+// ==========================
+function printSyncResult(result, print = console.log) {
+  if (result.changes.length > 0) {
+    print(`\n${t('cli.sync.changes', { count: result.changes.length, source: SOURCES[result.source].title })}\n`);
+    formatSyncTable(result.changes, lang).forEach(line => print(`  ${line}`));
+  }
+  if (result.missing.length > 0) {
+    print(`\n${t('cli.sync.missing', { names: result.missing.map(m => m.name).join(', ') })}`);
+  }
+}
+
+async function syncFile(skipGit = false) {
+  console.log(`\n${t('cli.sync.title')}`);
+
+  const file = await ask(t('cli.prompt.file'));
+  if (!file) { console.log(`${t('cli.cancelled')}\n`); return; }
+  const source = (await ask(t('cli.sync.source', { sources: Object.keys(SOURCES).join('/') }))).toLowerCase() || 'aredl';
+
+  const lists = loadAll();
+  const result = tryOperation(() => syncPositions(lists, { source, file, entries: readListDump(file).entries }), lists);
+  if (!result) return;
+
+  printSyncResult(result);
+  const confirm = await ask(`\n${t('cli.sync.confirm')}`);
+  if (!isYes(confirm)) { console.log(`${t('cli.cancelled_nothing_saved')}\n`); return; }
+
+  saveOperation(lists, result);
+  console.log(`\n${describeChange(result, lang)}\n`);
+
+  printPublishResult(publishOperation(result, skipGit));
+}
+
+// ===== COMMITS NA FILA =====
+// Commits feitos quando o push falhou (lib/git.cjs)
+function pushPending() {
+  const queue = readQueue(process.cwd());
+  if (queue.length === 0) { console.log(`\n${t('cli.push.empty')}\n`); return; }
+
+  console.log(`\n${t('cli.push.waiting', { count: queue.length })}`);
+  queue.forEach(c => console.log(`  • ${c.commit.slice(0, 7)} ${c.subject}`));
+
+  let pushed;
+  try {
+    pushed = retryPush(process.cwd());
+  } catch (e) {
+    console.log(`\n${errorMessage(e, lang)}\n`);
+    return;
+  }
+  if (pushed.status === 'pushed') console.log(`\n${t('cli.push.done')}\n`);
+  else console.log(`\n${t('cli.push.failed')}\n${pushed.error}\n`);
 }
 
 // ==========================
@@ -851,25 +972,25 @@ async function batchCommit() {
 async function menu() {
   console.clear();
   console.log('╔═══════════════════════════════════════════╗');
-  console.log('║  GERENCIADOR DE NÍVEIS - ELFETOR v3.0    ║');
-  console.log('║  Sistema Integrado de 3 Listas           ║');
-  console.log('║  Main (1-75) → Extended (76-150)         ║');
-  console.log('║  → Legacy (151+)                         ║');
+  console.log(`║  ${t('cli.menu.title').padEnd(40)}║`);
+  console.log(`║  ${t('cli.menu.subtitle', { count: LIST_NAMES.length }).padEnd(40)}║`);
+  LIST_NAMES.forEach((list, i) => {
+    console.log(`║  ${`${i > 0 ? '→ ' : ''}${LIST_TITLES[list]} (${listRange(list)})`.padEnd(40)}║`);
+  });
   console.log('╚═══════════════════════════════════════════╝\n');
+
+  const pending = readQueue(process.cwd()).length;
+  if (pending > 0) console.log(`${t('cli.menu.pending', { count: pending })}\n`);
   
   let running = true;
   while (running) {
     console.log('╔═══════════════════════════════════╗');
-    console.log('║        O QUE FAZER?               ║');
+    console.log(`║        ${t('cli.menu.question').padEnd(27)}║`);
     console.log('╚═══════════════════════════════════╝\n');
-    console.log('1. Listar todas as listas');
-    console.log('2. Buscar em todas as listas');
-    console.log('3. Adicionar nível (com transições automáticas)');
-    console.log('4. Editar nível');
-    console.log('5. Deletar nível (com promoções automáticas)');
-    console.log('6. Mover nível (com transições automáticas)');
-    console.log('7. MODO BATCH (vários commits de uma vez)');
-    console.log('0. Sair\n');
+    ['list', 'search', 'add', 'edit', 'delete', 'move', 'batch', 'validate', 'apply', 'journal'].forEach(option => console.log(t(`cli.menu.${option}`)));
+    console.log(t('cli.menu.repartition', { file: CONFIG_FILE }));
+    ['sync', 'export', 'push'].forEach(option => console.log(t(`cli.menu.${option}`)));
+    console.log(`${t('cli.menu.exit')}\n`);
     
     const choice = await ask('> ');
     
@@ -881,16 +1002,9 @@ async function menu() {
         await search(); 
         break;
       case '3':
-        console.log('\nOnde adicionar?');
-        console.log('1. Main List (1-75)');
-        console.log('2. Extended List (76-150)');
-        console.log('3. Legacy List (151+)');
-        const addChoice = await ask('> ');
-        const addFile = addChoice === '1' ? FILES.MAIN : 
-                       addChoice === '2' ? FILES.EXTENDED : 
-                       addChoice === '3' ? FILES.LEGACY : null;
-        if (addFile) await addWithHistory(addFile);
-        else console.log('Escolha inválida.\n');
+        const addList = await askList();
+        if (addList) await addWithHistory(addList);
+        else console.log(`${t('cli.invalid_choice')}\n`);
         break;
       case '4': 
         await update(); 
@@ -904,22 +1018,278 @@ async function menu() {
       case '7':
         await batchCommit();
         break;
+      case '8':
+        await validate();
+        break;
+      case '9':
+        await applyFile();
+        break;
+      case '10':
+        await journalMenu();
+        break;
+      case '11':
+        await repartitionLists();
+        break;
+      case '12':
+        await syncFile();
+        break;
+      case '13':
+        await exportImport();
+        break;
+      case '14':
+        pushPending();
+        break;
       case '0':
         running = false;
-        console.log('\nTchau!\n');
+        console.log(`\n${t('cli.menu.bye')}\n`);
         break;
       default:
-        console.log('Inválido.\n');
+        console.log(`${t('cli.invalid')}\n`);
     }
   }
   
-  rl.close();
+  closePrompt();
 }
 
-if (require.main === module) menu().catch(e => {
-  console.error('Erro:', e.message);
-  rl.close();
-  process.exit(1);
-});
+// ==========================
+// SUBCOMANDOS (sem menu)
+// ==========================
+//   npm run levels -- add --list main --name "Nome" --creator "Criador" --position 3
+//                                           (--force: mesmo se já existe um nível parecido)
+//   npm run levels -- move "Nome" --to 12
+//   npm run levels -- move "Nome" --to 12 --date 2026-07-31   (data do histórico; padrão: hoje)
+//   npm run levels -- delete 12
+//   npm run levels -- edit "Nome" --tier 30 --rank "Extreme Demon"
+//   npm run levels -- edit "Nome" --name "Novo nome"   (renomear)
+//   npm run levels -- search bloodbath [--fuzzy]   (--fuzzy: tolera acentos e erros de digitação)
+//   npm run levels -- list --json [--list main]
+//   npm run levels -- apply alteracoes.json   (ver lib/batch.cjs)
+//   npm run levels -- undo | redo | history   (ver lib/journal.cjs)
+//   npm run levels -- push                    (commits que ficaram na fila, ver lib/git.cjs)
+//   npm run levels -- repartition             (depois de mudar lists.config.json)
+//   npm run levels -- sync aredl.json --source aredl   (ver lib/sync.cjs)
+//   npm run levels -- export lista.csv [--list extended] [--range 76-100]   (.csv, .tsv ou .md)
+//   npm run levels -- import lista.csv [--list extended] [--range 76-100]   (ver lib/export.cjs)
+//   npm run levels -- changelog               (regera CHANGELOG.md e o README, ver lib/changelog.cjs)
+//   npm run levels -- undo --lang en          (mensagens em inglês; o menu usa LEVELS_LANG=en)
+//
+// O nível pode vir como argumento ou em --level (nome, posição global ou
+// id; um nome repetido em mais de um nível é recusado).
+// Resultado em JSON no stdout ({ ok: true, ... } ou { ok: false, error });
+// o resto das mensagens vai para o stderr. --no-git salva sem commit/push;
+// --dry-run não salva nada e devolve a prévia (posições, mudanças de lista
+// e histórico, ver lib/preview.cjs).
+// Código de saída: 0 = ok, 1 = falha, 2 = uso inválido.
+const COMMAND_OPTIONS = {
+  list: { type: 'string' },
+  name: { type: 'string' },
+  creator: { type: 'string' },
+  video: { type: 'string' },
+  rank: { type: 'string' },
+  tier: { type: 'string' },
+  aredl: { type: 'string' },
+  'gd-id': { type: 'string' },
+  date: { type: 'string' },
+  lang: { type: 'string' },
+  source: { type: 'string' },
+  range: { type: 'string' },
+  position: { type: 'string' },
+  level: { type: 'string' },
+  to: { type: 'string' },
+  query: { type: 'string' },
+  fuzzy: { type: 'boolean' },
+  force: { type: 'boolean' },
+  json: { type: 'boolean' },
+  'no-git': { type: 'boolean' },
+  'dry-run': { type: 'boolean' }
+};
+
+// Aplica, salva e publica uma operação (com --dry-run, só a prévia)
+function runOperation(values, apply) {
+  const lists = loadAll();
+  const operation = apply(lists);
+  if (values['dry-run']) return dryRunResult(lists, [operation]);
+  saveOperation(lists, operation);
+  return publishCommand(values, operation);
+}
+
+// Nada é salvo; a validação roda igual, para o dry-run falhar onde o save falharia
+function dryRunResult(lists, operations) {
+  checkLists(lists);
+  const results = operations.map(({ commitMessage, ...result }) => result);
+  const body = { ok: true, dry_run: true };
+  if (results.length === 1) body.result = results[0];
+  else body.results = results;
+  body.preview = previewLists(loadAll(), lists);
+  return body;
+}
+
+// Lote já aplicado em memória (apply, import): prévia, ou salva com um commit só.
+// Lote vazio (import de um arquivo igual às listas) não salva nem commita
+function runBatch(values, lists, operations, title) {
+  if (values['dry-run']) return dryRunResult(lists, operations);
+  if (operations.length === 0) return { ok: true, total: 0, results: [], ...gitFields(values['no-git'] ? null : { status: 'unchanged' }) };
+  saveBatch(lists, operations);
+
+  const git = values['no-git'] ? null : gitCommitAndPush(TRACKED_FILES, batchCommitMessage(operations, title), { operation: 'batch', count: operations.length });
+  const results = operations.map(({ commitMessage, ...result }) => result);
+  if (git && git.status === 'failed') return { ok: false, error: t('cli.saved_all_commit_failed'), results, ...gitFields(git) };
+  return { ok: true, total: results.length, results, ...gitFields(git) };
+}
+
+function revertCommand(values, direction) {
+  if (!values['dry-run']) return publishCommand(values, revertOperation(direction));
+
+  const lists = loadAll();
+  const plan = planRevert(direction, lists);
+  return {
+    ok: true,
+    dry_run: true,
+    result: { operation: direction, level: plan.entry.level, journal_id: plan.entry.id, summary: plan.entry.summary },
+    preview: previewLists(lists, plan.lists)
+  };
+}
+
+function publishCommand(values, operation) {
+  const git = publishOperation(operation, values['no-git']);
+  const { commitMessage, ...result } = operation;
+  if (git && git.status === 'failed') return { ok: false, error: t('cli.saved_commit_failed'), result, ...gitFields(git) };
+  return { ok: true, result, ...gitFields(git) };
+}
+
+// git: 'skipped' | 'pushed' | 'committed' | 'queued' | 'unchanged' | 'failed';
+// o commit feito e, se o push falhou, quantos commits estão na fila e o erro
+function gitFields(git) {
+  if (git === null) return { git: 'skipped' };
+  const fields = { git: git.status };
+  if (git.commit) fields.commit = git.commit;
+  if (git.pending) fields.pending = git.pending;
+  if (git.error) fields.git_error = git.error;
+  return fields;
+}
+
+const COMMANDS = {
+  add: (values, args) => runOperation(values, lists => LEVEL_OPERATIONS.add(lists, values, args)),
+  move: (values, args) => runOperation(values, lists => LEVEL_OPERATIONS.move(lists, values, args)),
+  delete: (values, args) => runOperation(values, lists => LEVEL_OPERATIONS.delete(lists, values, args)),
+  edit: (values, args) => runOperation(values, lists => LEVEL_OPERATIONS.edit(lists, values, args)),
+  apply: (values, args) => {
+    const file = required(args[0], t('cli.option_file'));
+    const lists = loadAll();
+    // --date vale para os passos sem "date" próprio
+    const steps = readBatchFile(file).map(step => (values.date !== undefined && step.date === undefined ? { ...step, date: values.date } : step));
+    return runBatch(values, lists, applyBatch(lists, steps));
+  },
+  export: (values, args) => {
+    const file = required(args[0], t('cli.option_file'));
+    const total = exportFile(file, parseSelection(values.list, values.range));
+    return { ok: true, file, format: fileFormat(file), total };
+  },
+  import: (values, args) => {
+    const file = required(args[0], t('cli.option_file'));
+    const selection = parseSelection(values.list, values.range);
+    const lists = loadAll();
+    return runBatch(values, lists, importRows(lists, readImportFile(file), selection), importTitle(file));
+  },
+  repartition: values => runOperation(values, lists => repartition(lists)),
+  sync: (values, args) => {
+    const file = required(args[0], t('cli.option_file'));
+    const { entries, skipped } = readListDump(file);
+    const body = runOperation(values, lists => syncPositions(lists, { source: required(values.source, '--source'), file, entries }));
+    printSyncResult(body.result, line => console.error(line));
+    return { ...body, skipped };
+  },
+  undo: values => revertCommand(values, 'undo'),
+  redo: values => revertCommand(values, 'redo'),
+  history: () => ({ ok: true, entries: journalHistory(process.cwd()) }),
+  // Push dos commits que ficaram na fila (lib/git.cjs)
+  push: () => {
+    const pushed = retryPush(process.cwd());
+    const commits = pushed.commits.map(c => ({ commit: c.commit, subject: c.subject }));
+    if (pushed.status === 'queued') return { ok: false, error: pushed.error, git: 'queued', pending: commits.length, commits };
+    return { ok: true, git: pushed.status, total: commits.length, commits };
+  },
+  // Regera CHANGELOG.md e o README a partir de changes.json (sem commit)
+  changelog: () => ({ ok: true, written: writeChangelog(process.cwd()) }),
+  search: (values, args) => {
+    const query = required(values.query !== undefined ? values.query : args[0], '--query');
+    const results = searchLevels(loadAll(), query, { fuzzy: values.fuzzy });
+    return { ok: true, total: results.length, results };
+  },
+  list: values => {
+    if (values.list && !LIST_NAMES.includes(values.list)) throw new UsageError(t('cli.invalid_list', { list: values.list, lists: LIST_NAMES.join(', ') }));
+    const levels = levelRows(loadAll()).filter(l => !values.list || l.list === values.list);
+    return { ok: true, total: levels.length, levels };
+  }
+};
+
+function runCommand(argv) {
+  const printJson = body => process.stdout.write(`${JSON.stringify(body, null, 2)}\n`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: COMMAND_OPTIONS, allowPositionals: true });
+  } catch (e) {
+    printJson({ ok: false, error: errorMessage(e, lang) });
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.lang !== undefined) {
+    try {
+      setLanguage(values.lang);
+    } catch (e) {
+      printJson({ ok: false, error: errorMessage(e, lang) });
+      return 2;
+    }
+  }
+
+  const [command, ...args] = positionals;
+  if (!COMMANDS[command]) {
+    printJson({ ok: false, error: t('cli.unknown_command', { command, commands: Object.keys(COMMANDS).join(', ') }) });
+    return 2;
+  }
+
+  // "list" sem --json mostra a mesma visão do menu
+  if (command === 'list' && !values.json) {
+    list();
+    return 0;
+  }
+
+  // stdout fica só para o JSON
+  console.log = console.error;
+
+  try {
+    const body = COMMANDS[command](values, args);
+    printJson(body);
+    return body.ok ? 0 : 1;
+  } catch (e) {
+    printJson({ ok: false, error: errorMessage(e, lang), ...(e.issues ? { issues: e.issues.map(i => formatIssue(i, lang)) } : {}) });
+    return e instanceof UsageError ? 2 : 1;
+  }
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  if (argv.length > 0) {
+    process.exitCode = runCommand(argv);
+  } else {
+    menu().catch(e => {
+      console.error(t('cli.error'), errorMessage(e, lang));
+      closePrompt();
+      process.exit(1);
+    });
+  }
+}
 
-module.exports = { menu };
\ No newline at end of file
+module.exports = {
+  menu,
+  runCommand,
+  findLevel,
+  searchLevels,
+  addLevel,
+  moveLevel,
+  removeLevel,
+  editLevel,
+  saveOperation
+};
\ No newline at end of file
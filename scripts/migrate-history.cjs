@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Converte as entradas antigas de pos_history ({ log1: "dd/mm/yy - ..." })
+// para eventos estruturados (lib/history.cjs), e as datas "dd/mm/yy" dos
+// eventos para AAAA-MM-DD. Pode ser rodado mais de uma vez.
+const fs = require('fs');
+const path = require('path');
+const { LIST_FILES } = require('../lib/validate.cjs');
+const { isValidEvent, toEvent } = require('../lib/history.cjs');
+
+const root = path.join(__dirname, '..');
+let converted = 0;
+let unparsed = 0;
+
+Object.values(LIST_FILES).forEach(file => {
+  const filePath = path.join(root, file);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let changed = false;
+
+  data.forEach(level => {
+    if (!Array.isArray(level.pos_history)) return;
+    level.pos_history = level.pos_history.map(entry => {
+      if (isValidEvent(entry)) return entry;
+      const event = toEvent(entry);
+      converted++;
+      if (event.type === 'note') {
+        unparsed++;
+        console.log(`  ? ${file} "${level.lvl_name}": ${event.text}`);
+      }
+      changed = true;
+      return event;
+    });
+  });
+
+  if (changed) fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+});
+
+console.log(`${converted} entrada(s) convertida(s), ${unparsed} mantida(s) como texto (type "note").`);
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Dá um id fixo (lib/ids.cjs) a cada nível que ainda não tem e liga as
+// referências por nome do histórico (pushed, below, above) a esses ids.
+// Pode ser rodado mais de uma vez.
+const fs = require('fs');
+const path = require('path');
+const { LIST_NAMES, LIST_FILES } = require('../lib/config.cjs');
+const { assignIds, linkHistory } = require('../lib/ids.cjs');
+
+const root = path.join(__dirname, '..');
+const lists = {};
+const before = {};
+
+LIST_NAMES.forEach(list => {
+  const filePath = path.join(root, LIST_FILES[list]);
+  if (!fs.existsSync(filePath)) return;
+  before[list] = fs.readFileSync(filePath, 'utf8');
+  lists[list] = JSON.parse(before[list]);
+});
+
+const assigned = assignIds(lists);
+const { linked, unresolved } = linkHistory(lists);
+
+Object.keys(lists).forEach(list => {
+  const content = JSON.stringify(lists[list], null, 2);
+  if (content !== before[list]) fs.writeFileSync(path.join(root, LIST_FILES[list]), content, 'utf8');
+});
+
+unresolved.forEach(name => console.log(`  ? "${name}": nome repetido ou nível removido, referência mantida só pelo nome`));
+console.log(`${assigned} id(s) criado(s), ${linked} referência(s) do histórico ligada(s) a ids, ${unresolved.length} nome(s) sem id.`);
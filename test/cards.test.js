@@ -0,0 +1,84 @@
+// Card rendering (index.js): rank metadata, per-list layouts and a snapshot
+// of the card for every rank × list combination
+import { test, after } from "node:test";
+import assert from "assert/strict";
+import { snapshotFile } from "./helpers/snapshot.js";
+import { LIST_NAMES } from "../lib/config.cjs";
+import { RANKS } from "../lib/validate.cjs";
+
+// Importing the app without starting the dev server
+process.env.NODE_ENV = "production";
+const { RANK_META, LIST_LAYOUTS, rankMeta, listLayout, createLevelCard } = await import("../index.js");
+
+const snapshots = snapshotFile("cards");
+after(() => snapshots.save());
+
+const HISTORY = [
+    { type: "added", date: "2026-05-16", to: 3, below: "Bloodbath" },
+    { type: "pushed", date: "2026-07-31", level: "The Yandere", cause: "added", delta: -1 },
+];
+
+function sampleLevel(rank) {
+    return {
+        id: "0123abcd",
+        lvl_name: `Sample "${rank}" <level>`,
+        lvl_creator: "Creator & Co",
+        video_url: "https://youtu.be/g19pDeYw_Ps",
+        diff_rank: rank,
+        diff_scale: "27",
+        pos_aredl: 42,
+        pos_history: HISTORY,
+    };
+}
+
+test("every rank has metadata with a label and a badge class", () => {
+    RANKS.forEach(rank => {
+        const meta = RANK_META[rank];
+        assert.ok(meta, `missing RANK_META for ${rank}`);
+        assert.equal(meta.label, rank);
+        assert.match(meta.badgeClass, /^badge-[a-z]+$/);
+    });
+    assert.equal(RANK_META["Extreme Demon"].externalList, "AREDL");
+    assert.equal(RANK_META["Insane Demon"].externalList, "IDL");
+    assert.equal(RANK_META["Hard Demon"].externalList, "HDL");
+});
+
+test("unknown ranks get a neutral badge instead of undefined", () => {
+    assert.deepEqual(rankMeta("Mythic Demon"), { label: "Mythic Demon", badgeClass: "badge-unknown", externalList: null });
+    assert.equal(rankMeta(undefined).label, "");
+});
+
+test("every list has a layout; lists without one look like the Extended", () => {
+    LIST_NAMES.forEach(list => {
+        const layout = listLayout(list);
+        assert.ok(["row", "grid"].includes(layout.template), `bad template for ${list}`);
+        assert.equal(typeof layout.history, "boolean");
+        assert.equal(typeof layout.lazy, "boolean");
+    });
+    assert.equal(LIST_LAYOUTS.legacy.template, "grid");
+    assert.equal(listLayout("brand-new-list"), LIST_LAYOUTS.extended);
+});
+
+test("card HTML for every rank × list", () => {
+    LIST_NAMES.forEach(list => {
+        RANKS.forEach(rank => {
+            const html = createLevelCard(sampleLevel(rank), list, 7, "sample-level", HISTORY, "en");
+            assert.ok(!html.includes("undefined"), `"undefined" in the ${list} / ${rank} card`);
+            assert.ok(!html.includes('"Sample "'), `unescaped name in the ${list} / ${rank} card`);
+            snapshots.match(`${list} / ${rank}`, html);
+        });
+    });
+});
+
+test("Hard Demons show their HDL position", () => {
+    const html = createLevelCard(sampleLevel("Hard Demon"), "legacy", 7, "sample-level", HISTORY, "en");
+    assert.match(html, /HDL Position: #42/);
+    assert.doesNotMatch(html, /AREDL/);
+});
+
+test("card text follows the language", () => {
+    const html = createLevelCard(sampleLevel("Hard Demon"), "legacy", 7, "sample-level", HISTORY, "pt");
+    assert.match(html, /href="\/level\/sample-level\?lang=pt"/);
+    assert.match(html, /Posição HDL: #42/);
+    snapshots.match("legacy / Hard Demon / pt", html);
+});
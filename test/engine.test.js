@@ -0,0 +1,219 @@
+// List engine (lib/engine.cjs): insert, move and remove across the list
+// boundaries (Main 1-75, Extended 76-150, Legacy 151+) with the cascade
+// and the history events they leave behind
+import { test } from "node:test";
+import assert from "assert/strict";
+import { LIST_MAX, partition, flatten, addLevel, moveLevel, removeLevel, editLevel, repartition } from "../lib/engine.cjs";
+import { errorMessage } from "../lib/i18n.cjs";
+
+const DATE = "2026-01-02";
+const TOTAL = 160;
+
+// L001..L160 in global order, split by lists.config.json
+function makeLists(total = TOTAL) {
+    const levels = Array.from({ length: total }, (_, i) => {
+        const n = String(i + 1).padStart(3, "0");
+        return { id: `id${n}`, lvl_name: `L${n}`, lvl_creator: "C", diff_rank: "Extreme Demon", diff_scale: "30", pos_aredl: 0, pos_history: [] };
+    });
+    return partition(levels);
+}
+
+function names(lists, list) {
+    return lists[list].map(level => level.lvl_name);
+}
+
+function find(lists, name) {
+    return flatten(lists).find(level => level.lvl_name === name);
+}
+
+function lastEvent(lists, name) {
+    const history = find(lists, name).pos_history;
+    return history[history.length - 1];
+}
+
+function assertSizes(lists, total = TOTAL) {
+    assert.equal(lists.main.length, LIST_MAX.main);
+    assert.equal(lists.extended.length, LIST_MAX.extended);
+    assert.equal(lists.legacy.length, total - LIST_MAX.main - LIST_MAX.extended);
+}
+
+test("the fixture matches lists.config.json (Main 75, Extended 75)", () => {
+    assert.equal(LIST_MAX.main, 75);
+    assert.equal(LIST_MAX.extended, 75);
+    assertSizes(makeLists());
+});
+
+test("moving #75 to #76 demotes it and promotes the old #76", () => {
+    const lists = makeLists();
+    const result = moveLevel(lists, { level: "L075", to: 76, date: DATE });
+
+    assertSizes(lists);
+    assert.equal(names(lists, "main")[74], "L076");
+    assert.equal(names(lists, "extended")[0], "L075");
+    assert.equal(result.list, "extended");
+    assert.equal(result.position, 76);
+    assert.deepEqual(result.event, { type: "moved", level: "L075", from: 75, from_list: "main", position: 76, list: "extended" });
+    assert.deepEqual(result.cascade_events, [
+        { type: "promoted", from: 76, to: 75, from_list: "extended", to_list: "main", level: "L076", level_id: "id076" },
+    ]);
+    assert.deepEqual(lastEvent(lists, "L076"), { type: "promoted", date: DATE, from: 76, to: 75, from_list: "extended", to_list: "main" });
+    // Neighbours come from the new list: it is the first of the Extended, so no "below"
+    assert.deepEqual(lastEvent(lists, "L075"), {
+        type: "moved", date: DATE, from: 75, to: 76, delta: -1,
+        above: "L077", above_id: "id077", from_list: "main", to_list: "extended",
+    });
+});
+
+test("moving #76 to #75 promotes it and demotes the old #75", () => {
+    const lists = makeLists();
+    const result = moveLevel(lists, { level: "L076", to: 75, date: DATE });
+
+    assertSizes(lists);
+    assert.equal(names(lists, "main")[74], "L076");
+    assert.equal(names(lists, "extended")[0], "L075");
+    assert.equal(result.list, "main");
+    assert.deepEqual(result.cascade_events, [
+        { type: "demoted", from: 75, to: 76, from_list: "main", to_list: "extended", level: "L075", level_id: "id075" },
+    ]);
+    assert.deepEqual(lastEvent(lists, "L076"), {
+        type: "moved", date: DATE, from: 76, to: 75, delta: 1,
+        below: "L074", below_id: "id074", from_list: "extended", to_list: "main",
+    });
+    assert.deepEqual(lastEvent(lists, "L075"), { type: "demoted", date: DATE, from: 75, to: 76, from_list: "main", to_list: "extended" });
+});
+
+test("moving #151 to #150 promotes it from Legacy and demotes the old #150", () => {
+    const lists = makeLists();
+    const result = moveLevel(lists, { level: 151, to: 150, date: DATE });
+
+    assertSizes(lists);
+    assert.equal(names(lists, "extended")[74], "L151");
+    assert.equal(names(lists, "legacy")[0], "L150");
+    assert.equal(result.list, "extended");
+    assert.deepEqual(result.cascade_events, [
+        { type: "demoted", from: 150, to: 151, from_list: "extended", to_list: "legacy", level: "L150", level_id: "id150" },
+    ]);
+    assert.deepEqual(lastEvent(lists, "L150"), { type: "demoted", date: DATE, from: 150, to: 151, from_list: "extended", to_list: "legacy" });
+});
+
+test("moving #150 to #151 demotes it to Legacy and promotes the old #151", () => {
+    const lists = makeLists();
+    const result = moveLevel(lists, { level: "L150", to: 151, date: DATE });
+
+    assertSizes(lists);
+    assert.equal(names(lists, "extended")[74], "L151");
+    assert.equal(names(lists, "legacy")[0], "L150");
+    assert.equal(result.list, "legacy");
+    assert.deepEqual(result.cascade_events.map(e => [e.type, e.level, e.from, e.to]), [["promoted", "L151", 151, 150]]);
+});
+
+test("moving a level down inside Main pushes the ones it passes", () => {
+    const lists = makeLists();
+    moveLevel(lists, { level: "L010", to: 12, date: DATE });
+
+    assert.deepEqual(names(lists, "main").slice(8, 13), ["L009", "L011", "L012", "L010", "L013"]);
+    assert.deepEqual(lastEvent(lists, "L010"), { type: "moved", date: DATE, from: 10, to: 12, delta: -2, below: "L012", below_id: "id012", above: "L013", above_id: "id013" });
+    assert.deepEqual(lastEvent(lists, "L011"), { type: "pushed", date: DATE, level: "L010", level_id: "id010", cause: "moved", delta: 1 });
+    assert.deepEqual(lastEvent(lists, "L012"), { type: "pushed", date: DATE, level: "L010", level_id: "id010", cause: "moved", delta: 1 });
+    assert.deepEqual(find(lists, "L013").pos_history, []);
+    assert.deepEqual(find(lists, "L009").pos_history, []);
+});
+
+test("adding at the end of Main demotes #75 and #150 down the cascade", () => {
+    const lists = makeLists();
+    const result = addLevel(lists, { list: "main", name: "New", lvl_creator: "C", diff_rank: "Extreme Demon", diff_scale: "30", position: 75, date: DATE });
+
+    assertSizes(lists, TOTAL + 1);
+    assert.equal(names(lists, "main")[74], "New");
+    assert.equal(names(lists, "extended")[0], "L075");
+    assert.equal(names(lists, "legacy")[0], "L150");
+    assert.equal(result.position, 75);
+    assert.equal(result.list, "main");
+    assert.deepEqual(result.cascade_events.map(e => [e.type, e.level, e.from, e.to, e.from_list, e.to_list]), [
+        ["demoted", "L075", 75, 76, "main", "extended"],
+        ["demoted", "L150", 150, 151, "extended", "legacy"],
+    ]);
+    assert.deepEqual(find(lists, "New").pos_history, [{ type: "added", date: DATE, to: 75, below: "L074", below_id: "id074" }]);
+    assert.equal(lastEvent(lists, "L075").type, "demoted");
+    // Only the ones that stayed in their list get "pushed"
+    assert.ok(!find(lists, "L075").pos_history.some(e => e.type === "pushed"));
+});
+
+test("adding inside Main pushes the levels below it", () => {
+    const lists = makeLists();
+    addLevel(lists, { list: "main", name: "New", lvl_creator: "C", diff_rank: "Extreme Demon", diff_scale: "30", position: 3, date: DATE });
+
+    assert.deepEqual(names(lists, "main").slice(0, 4), ["L001", "L002", "New", "L003"]);
+    assert.deepEqual(lastEvent(lists, "L003"), { type: "pushed", date: DATE, level: "New", level_id: find(lists, "New").id, cause: "added", delta: -1 });
+    assert.deepEqual(lastEvent(lists, "L074"), { type: "pushed", date: DATE, level: "New", level_id: find(lists, "New").id, cause: "added", delta: -1 });
+    assert.deepEqual(find(lists, "L002").pos_history, []);
+});
+
+test("removing from Main promotes #76 to Main and #151 from Legacy", () => {
+    const lists = makeLists();
+    const result = removeLevel(lists, { level: "L001", date: DATE });
+
+    assertSizes(lists, TOTAL - 1);
+    assert.equal(find(lists, "L001"), undefined);
+    assert.equal(names(lists, "main")[0], "L002");
+    assert.equal(names(lists, "main")[74], "L076");
+    assert.equal(names(lists, "extended")[74], "L151");
+    assert.equal(names(lists, "legacy")[0], "L152");
+    assert.deepEqual(result.event, { type: "removed", level: "L001", position: 1, list: "main" });
+    assert.deepEqual(result.cascade_events, [
+        { type: "promoted", from: 76, to: 75, from_list: "extended", to_list: "main", level: "L076", level_id: "id076" },
+        { type: "promoted", from: 151, to: 150, from_list: "legacy", to_list: "extended", level: "L151", level_id: "id151" },
+    ]);
+    assert.deepEqual(lastEvent(lists, "L151"), { type: "promoted", date: DATE, from: 151, to: 150, from_list: "legacy", to_list: "extended" });
+});
+
+test("removing from Extended only promotes from Legacy", () => {
+    const lists = makeLists();
+    const result = removeLevel(lists, { level: 100, date: DATE });
+
+    assert.equal(names(lists, "main")[74], "L075");
+    assert.deepEqual(result.cascade_events.map(e => [e.type, e.level, e.from, e.to]), [["promoted", "L151", 151, 150]]);
+});
+
+test("removing from Legacy moves nobody between lists", () => {
+    const lists = makeLists();
+    const result = removeLevel(lists, { level: "L155", date: DATE });
+
+    assert.deepEqual(result.cascade_events, []);
+    assert.equal(lists.legacy.length, TOTAL - 151);
+});
+
+test("repartition fills a short Main from the lists below", () => {
+    const lists = makeLists();
+    lists.main = lists.main.slice(0, 74);
+    lists.extended = [find(makeLists(), "L075"), ...lists.extended];
+    const result = repartition(lists, { date: DATE });
+
+    assert.deepEqual(names(lists, "main")[74], "L075");
+    assert.deepEqual(result.cascade_events.map(e => [e.type, e.level, e.from, e.to]), [["promoted", "L075", 75, 75]]);
+    assert.throws(() => repartition(lists, { date: DATE }), /já seguem os tamanhos/);
+});
+
+test("invalid positions and dates are refused", () => {
+    const lists = makeLists();
+    assert.throws(() => moveLevel(lists, { level: "L001", to: 0 }), /inválida/);
+    assert.throws(() => moveLevel(lists, { level: "L001", to: "abc" }), /inválida/);
+    assert.throws(() => moveLevel(lists, { level: "L001", to: 1 }), /já está nessa posição/);
+    assert.throws(() => moveLevel(lists, { level: "L001", to: 5, date: "31/02/2026" }), /Data inválida/);
+    assert.throws(() => removeLevel(lists, { level: "Nope" }), /não encontrado/);
+    assert.throws(() => editLevel(lists, { level: "L001", fields: { diff_scale: "31", pos_aredl: "abc" } }), /Posição externa inválida: abc/);
+    assert.equal(find(lists, "L001").diff_scale, "30");
+    editLevel(lists, { level: "L001", fields: { pos_aredl: "0" } });
+    assert.equal(find(lists, "L001").pos_aredl, 0);
+});
+
+test("errors carry their catalogue key, so the CLI can show them in English", () => {
+    const lists = makeLists();
+    assert.throws(() => removeLevel(lists, { level: "Nope" }), error => {
+        assert.equal(error.key, "error.level_not_found");
+        assert.equal(errorMessage(error, "en"), "Level not found: Nope");
+        assert.equal(errorMessage(error, "pt"), "Nível não encontrado: Nope");
+        return true;
+    });
+    assert.throws(() => moveLevel(lists, { level: "L001", to: 5, date: "31/02/2026" }), error => errorMessage(error, "en") === "Invalid date: 31/02/2026 (use YYYY-MM-DD)");
+});
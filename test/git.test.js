@@ -0,0 +1,147 @@
+// Git publishing (lib/git.cjs) against a local bare repository: commit of
+// the changed files only, push, the offline queue and its replay
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { QUEUE_FILE, publish, retryPush, readQueue } from "../lib/git.cjs";
+
+let dir;
+let work;
+let remote;
+
+function git(cwd, ...args) {
+    const result = spawnSync("git", args, { cwd, encoding: "utf8" });
+    if (result.status !== 0) throw new Error(`git ${args.join(" ")}: ${result.stderr}`);
+    return result.stdout.trim();
+}
+
+function writeConfig(gitConfig) {
+    const lists = [{ name: "main", file: "levels_main.json", size: 75 }, { name: "extended", file: "levels_extended.json", size: 75 }, { name: "legacy", file: "levels_legacy.json" }];
+    fs.writeFileSync(path.join(work, "lists.config.json"), JSON.stringify({ lists, git: { remote: "origin", branch: "main", ...gitConfig } }, null, 2));
+}
+
+function change(file, content) {
+    fs.writeFileSync(path.join(work, file), content);
+}
+
+function remoteHead() {
+    return git(remote, "rev-parse", "refs/heads/main");
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "levels-git-"));
+    remote = path.join(dir, "remote.git");
+    work = path.join(dir, "work");
+    git(dir, "init", "--quiet", "--bare", remote);
+    git(dir, "init", "--quiet", "-b", "main", work);
+    git(work, "config", "user.name", "Test");
+    git(work, "config", "user.email", "test@example.com");
+    git(work, "config", "commit.gpgsign", "false");
+    git(work, "remote", "add", "origin", remote);
+    writeConfig({});
+    change("levels_main.json", "[]\n");
+    git(work, "add", "-A");
+    git(work, "commit", "--quiet", "-m", "initial");
+    git(work, "push", "--quiet", "origin", "HEAD:refs/heads/main");
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("commits only the listed files that changed and pushes", () => {
+    change("levels_main.json", '[{"lvl_name":"A"}]\n');
+    change("unrelated.txt", "not part of the list\n");
+    git(work, "add", "unrelated.txt");
+
+    const result = publish(work, ["levels_main.json", "levels_extended.json"], "Adicionado: A");
+    assert.equal(result.status, "pushed");
+    assert.deepEqual(result.files, ["levels_main.json"]);
+    assert.equal(result.pending, 0);
+    assert.equal(remoteHead(), result.commit);
+    assert.equal(git(work, "show", "--name-only", "--format=", "HEAD"), "levels_main.json");
+    // Whatever else was staged stays staged, out of the commit
+    assert.equal(git(work, "diff", "--cached", "--name-only"), "unrelated.txt");
+    assert.equal(fs.existsSync(path.join(work, QUEUE_FILE)), false);
+});
+
+test("nothing changed: no commit, no push", () => {
+    const result = publish(work, ["levels_main.json"], "Nada");
+    assert.equal(result.status, "unchanged");
+    assert.equal(result.commit, null);
+});
+
+test("the message goes to git as is, quotes and shell characters included", () => {
+    const message = 'Adicionado: "Nível"; $(touch hacked) `id` & echo';
+    change("levels_main.json", '[{"lvl_name":"B"}]\n');
+    publish(work, ["levels_main.json"], message);
+    assert.equal(git(work, "log", "-1", "--format=%B"), message);
+    assert.equal(fs.existsSync(path.join(work, "hacked")), false);
+});
+
+test("commit-message templates are applied", () => {
+    writeConfig({ templates: { add: "Lista: {summary} ({operation})" } });
+    git(work, "add", "lists.config.json");
+    git(work, "commit", "--quiet", "-m", "config");
+    change("levels_main.json", '[{"lvl_name":"C"}]\n');
+    publish(work, ["levels_main.json"], "Adicionado: C\n\ndetalhes", { operation: "add" });
+    assert.equal(git(work, "log", "-1", "--format=%s"), "Lista: Adicionado: C (add)");
+});
+
+test("a failed push queues the commits and the next push sends them all", () => {
+    git(work, "remote", "set-url", "origin", path.join(dir, "missing.git"));
+    const pushedBefore = remoteHead();
+
+    change("levels_main.json", '[{"lvl_name":"D"}]\n');
+    const first = publish(work, ["levels_main.json"], "Primeiro");
+    assert.equal(first.status, "queued");
+    assert.equal(first.pending, 1);
+    assert.ok(first.error);
+
+    change("levels_main.json", '[{"lvl_name":"E"}]\n');
+    const second = publish(work, ["levels_main.json"], "Segundo");
+    assert.equal(second.status, "queued");
+    assert.deepEqual(readQueue(work).map(entry => entry.subject), ["Primeiro", "Segundo"]);
+    assert.equal(remoteHead(), pushedBefore);
+
+    git(work, "remote", "set-url", "origin", remote);
+    const retry = retryPush(work);
+    assert.equal(retry.status, "pushed");
+    assert.deepEqual(retry.commits.map(entry => entry.commit), [first.commit, second.commit]);
+    assert.equal(remoteHead(), second.commit);
+    assert.deepEqual(readQueue(work), []);
+    assert.equal(retryPush(work).status, "empty");
+});
+
+test("a successful publish also sends what was queued", () => {
+    git(work, "remote", "set-url", "origin", path.join(dir, "missing.git"));
+    change("levels_main.json", '[{"lvl_name":"F"}]\n');
+    publish(work, ["levels_main.json"], "Offline");
+    git(work, "remote", "set-url", "origin", remote);
+
+    change("levels_main.json", '[{"lvl_name":"G"}]\n');
+    const result = publish(work, ["levels_main.json"], "Online");
+    assert.equal(result.status, "pushed");
+    assert.equal(remoteHead(), result.commit);
+    assert.deepEqual(readQueue(work), []);
+});
+
+test("with push turned off, commits stay local and nothing is queued", () => {
+    writeConfig({ push: false });
+    git(work, "add", "lists.config.json");
+    git(work, "commit", "--quiet", "-m", "config");
+    const pushedBefore = remoteHead();
+
+    for (const name of ["H", "I"]) {
+        change("levels_main.json", `[{"lvl_name":"${name}"}]\n`);
+        const result = publish(work, ["levels_main.json"], name);
+        assert.equal(result.status, "committed");
+        assert.equal(result.pending, 0);
+    }
+    assert.equal(fs.existsSync(path.join(work, QUEUE_FILE)), false);
+    assert.equal(remoteHead(), pushedBefore);
+    assert.equal(publish(work, ["levels_main.json"], "Nada").status, "unchanged");
+});
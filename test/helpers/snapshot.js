@@ -0,0 +1,31 @@
+// Minimal snapshot assertions for node:test (built-in snapshots need Node 22).
+// Snapshots live in test/__snapshots__/<file>.json, one key per case; run
+// with UPDATE_SNAPSHOTS=1 to (re)write them after an intended change.
+import fs from "fs";
+import path from "path";
+import assert from "assert/strict";
+import { fileURLToPath } from "url";
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "__snapshots__");
+
+export function snapshotFile(name) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.json`);
+    const update = process.env.UPDATE_SNAPSHOTS === "1";
+    const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    const seen = {};
+
+    return {
+        match(key, value) {
+            seen[key] = value;
+            if (update) return;
+            assert.ok(key in stored, `No snapshot for "${key}" in ${path.basename(file)}; run with UPDATE_SNAPSHOTS=1`);
+            assert.equal(value, stored[key], `Snapshot "${key}" changed`);
+        },
+        // Call once all cases ran (after())
+        save() {
+            if (!update) return;
+            fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+            fs.writeFileSync(file, `${JSON.stringify(seen, null, 2)}\n`, "utf8");
+        },
+    };
+}
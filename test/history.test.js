@@ -0,0 +1,32 @@
+// History lines migrated from the old log1 strings (lib/history.cjs) must
+// read the same on the site as the text they replaced
+import { test } from "node:test";
+import assert from "assert/strict";
+import { parseLog, formatEvent, isValidEvent } from "../lib/history.cjs";
+
+test("\"moved up/down past this demon\" keeps its wording", () => {
+    const up = parseLog("20/08/24 - CHROMA  was moved up past this demon (Fell out again to the top 15) (-1)");
+    assert.deepEqual(up, {
+        type: "pushed", date: "2024-08-20", level: "CHROMA", cause: "moved", delta: -1,
+        note: "Fell out again to the top 15", direction: "up"
+    });
+    assert.ok(isValidEvent(up));
+    assert.equal(formatEvent(up), "Aug 20, 2024 - CHROMA was moved up past this demon (Fell out again to the top 15) (-1)");
+
+    const down = parseLog("28/02/25 - Acrise was moved down past this demon (+1)");
+    assert.equal(down.direction, "down");
+    assert.equal(formatEvent(down), "Feb 28, 2025 - Acrise was moved down past this demon (+1)");
+});
+
+test("\"moved above/below\" has no direction", () => {
+    const event = parseLog("31/07/26 - The Yandere was moved below (+1)");
+    assert.equal(event.direction, undefined);
+    assert.equal(formatEvent(event), "Jul 31, 2026 - The Yandere was moved below (+1)");
+});
+
+test("direction is only valid on moves, as up or down", () => {
+    const event = { type: "pushed", date: "2025-02-28", level: "Acrise", cause: "moved", delta: 1 };
+    assert.ok(isValidEvent({ ...event, direction: "down" }));
+    assert.ok(!isValidEvent({ ...event, direction: "sideways" }));
+    assert.ok(!isValidEvent({ ...event, cause: "added", direction: "up" }));
+});
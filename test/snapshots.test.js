@@ -0,0 +1,38 @@
+// Lists at a past date rebuilt from the position history (lib/snapshots.cjs)
+import { test } from "node:test";
+import assert from "assert/strict";
+import { replayHistory } from "../lib/snapshots.cjs";
+
+function level(name, pos_history) {
+    return { id: name.toLowerCase(), lvl_name: name, pos_history };
+}
+
+function makeLists() {
+    return {
+        main: [
+            level("A", [{ type: "added", date: "2024-03-01", to: 1 }]),
+            level("B", [
+                { type: "added", date: "2024-01-01", to: 1 },
+                { type: "pushed", date: "2024-03-01", level: "A", cause: "added", delta: -1 },
+            ]),
+            // Only "pushed" events: no way to tell when it entered the list
+            level("C", [{ type: "pushed", date: "2024-03-01", level: "A", cause: "added", delta: -1 }]),
+        ],
+        extended: [],
+        legacy: [],
+    };
+}
+
+function names(result) {
+    return result.lists.main.map(l => l.lvl_name);
+}
+
+test("levels are only there from their \"added\" event on", () => {
+    assert.deepEqual(names(replayHistory(makeLists(), "2024-02-01")), ["B"]);
+    assert.deepEqual(names(replayHistory(makeLists(), "2024-03-01")), ["A", "B"]);
+});
+
+test("a date before every \"added\" event has no data", () => {
+    assert.equal(replayHistory(makeLists(), "2020-01-01"), null);
+    assert.equal(replayHistory(makeLists(), "2023-12-31"), null);
+});